@@ -0,0 +1,316 @@
+import crypto from "crypto";
+import { CONSTANTS } from "./utils.mjs";
+
+// Ключ по умолчанию (PSK "AQ==" в прошивке раскрывается в этот ключ)
+const DEFAULT_KEY = Buffer.from("1PG7OiApB1nwvP+rz05pAQ==", "base64");
+
+/**
+ * Раскрывает PSK канала в AES ключ по правилам прошивки Meshtastic
+ * @param {string} psk - PSK в base64
+ * @returns {Buffer|null|undefined} - AES ключ, null для канала без шифрования, undefined если PSK некорректен
+ */
+export const expandPsk = (psk) => {
+  const raw = Buffer.from(psk || "", "base64");
+
+  // Пустой PSK или индекс 0 - канал без шифрования
+  if (raw.length === 0 || (raw.length === 1 && raw[0] === 0)) {
+    return null;
+  }
+
+  // Однобайтовый PSK - индекс "простого" ключа на основе ключа по умолчанию
+  if (raw.length === 1) {
+    const key = Buffer.from(DEFAULT_KEY);
+    key[key.length - 1] = (key[key.length - 1] + raw[0] - 1) & 0xff;
+    return key;
+  }
+
+  // Короткие ключи прошивка дополняет нулями до AES128/AES256
+  if (raw.length < 16) {
+    return Buffer.concat([raw, Buffer.alloc(16 - raw.length)]);
+  }
+  if (raw.length === 16 || raw.length === 32) {
+    return raw;
+  }
+  if (raw.length < 32) {
+    return Buffer.concat([raw, Buffer.alloc(32 - raw.length)]);
+  }
+
+  return undefined;
+};
+
+/**
+ * XOR всех байтов буфера
+ * @param {Buffer} buffer - Буфер
+ * @returns {number} - Однобайтовый хэш
+ */
+const xorHash = (buffer) => buffer.reduce((hash, byte) => hash ^ byte, 0);
+
+/**
+ * Вычисляет хэш канала (поле MeshPacket.channel) по имени и ключу
+ * @param {string} name - Имя канала
+ * @param {Buffer|null} key - Раскрытый ключ канала
+ * @returns {number} - Хэш канала
+ */
+export const computeChannelHash = (name, key) =>
+  xorHash(Buffer.from(name || "", "utf8")) ^ (key ? xorHash(key) : 0);
+
+/**
+ * Создает nonce AES-CTR: packetId (u64 LE), from (u32 LE), счетчик блоков 0
+ * @param {number} packetId - ID пакета
+ * @param {number} fromNode - ID отправителя
+ * @returns {Buffer} - 16-байтовый nonce
+ */
+export const createNonce = (packetId, fromNode) => {
+  const buf = Buffer.alloc(16);
+  buf.writeBigUInt64LE(BigInt(packetId), 0);
+  buf.writeUInt32LE(fromNode, 8);
+  buf.writeUInt32LE(0, 12);
+  return buf;
+};
+
+/**
+ * Шифрует/расшифровывает payload ключом канала (AES-CTR симметричен).
+ * Для канала без шифрования (key === null) возвращает данные как есть
+ * @param {Buffer|null} key - Раскрытый ключ канала
+ * @param {number} packetId - ID пакета
+ * @param {number} fromNode - ID отправителя
+ * @param {Buffer|Uint8Array} data - Данные
+ * @returns {Buffer} - Результат
+ */
+export const applyChannelCipher = (key, packetId, fromNode, data) => {
+  if (!key) {
+    return Buffer.from(data);
+  }
+
+  const algorithm = key.length === 32 ? "aes-256-ctr" : "aes-128-ctr";
+  const cipher = crypto.createCipheriv(
+    algorithm,
+    key,
+    createNonce(packetId, fromNode)
+  );
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Реестр ключей каналов: конфиг + Redis (hash channel_keys).
+ * Ключ для пакета выбирается по хэшу MeshPacket.channel и имени канала из топика
+ */
+export class ChannelKeyRegistry {
+  /**
+   * @param {Object} options - Настройки
+   * @param {Array} options.keys - Ключи из конфига [{ name, psk }]
+   * @param {number} options.refreshInterval - Интервал перечитывания Redis (мс)
+   * @param {number} options.statsFlushInterval - Интервал сохранения статистики (мс)
+   */
+  constructor(options = {}) {
+    this.configKeys = options.keys || CONSTANTS.DEFAULT_CHANNEL_KEYS;
+    this.refreshInterval = options.refreshInterval ?? 60000;
+    this.statsFlushInterval = options.statsFlushInterval ?? 60000;
+    this.redisManager = null;
+
+    this.entries = [];
+    this.entriesByHash = new Map();
+    this.stats = new Map();
+    this.pendingStats = new Map();
+
+    this.refreshTimer = null;
+    this.statsTimer = null;
+
+    this.rebuild([]);
+  }
+
+  /**
+   * Подключает Redis-хранилище ключей и запускает периодические задачи
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  async init(redisManager) {
+    this.redisManager = redisManager;
+    await this.reload();
+
+    if (this.refreshInterval > 0) {
+      this.refreshTimer = setInterval(() => this.reload(), this.refreshInterval);
+    }
+    if (this.statsFlushInterval > 0) {
+      this.statsTimer = setInterval(
+        () => this.flushStats(),
+        this.statsFlushInterval
+      );
+    }
+  }
+
+  /**
+   * Перечитывает ключи из Redis и перестраивает индекс
+   */
+  async reload() {
+    try {
+      const redisKeys = this.redisManager
+        ? await this.redisManager.getChannelKeys()
+        : {};
+      const redisEntries = Object.entries(redisKeys).map(([name, psk]) => ({
+        name,
+        psk,
+      }));
+      const previousCount = this.entries.length;
+
+      this.rebuild(redisEntries);
+
+      if (this.entries.length !== previousCount) {
+        console.log(
+          `🔑 [MQTT-Receiver] Загружено ключей каналов: ${this.entries.length} (из Redis: ${redisEntries.length})`
+        );
+      }
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка загрузки ключей каналов:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Перестраивает индекс ключей. Ключи из Redis перекрывают одноименные из конфига
+   * @param {Array} redisEntries - Ключи из Redis [{ name, psk }]
+   */
+  rebuild(redisEntries) {
+    const byName = new Map();
+
+    [
+      ...this.configKeys.map((entry) => ({ ...entry, source: "config" })),
+      ...redisEntries.map((entry) => ({ ...entry, source: "redis" })),
+    ].forEach((entry) => {
+      const key = expandPsk(entry.psk);
+      if (key === undefined) {
+        console.log(
+          `⚠️ [MQTT-Receiver] Некорректный PSK для канала ${entry.name}, пропускаем`
+        );
+        return;
+      }
+      byName.set(entry.name, {
+        name: entry.name,
+        key,
+        hash: computeChannelHash(entry.name, key),
+        source: entry.source,
+      });
+    });
+
+    this.entries = Array.from(byName.values());
+    this.entriesByHash = new Map();
+    this.entries.forEach((entry) => {
+      if (!this.entriesByHash.has(entry.hash)) {
+        this.entriesByHash.set(entry.hash, []);
+      }
+      this.entriesByHash.get(entry.hash).push(entry);
+    });
+  }
+
+  /**
+   * Возвращает ключи-кандидаты для пакета.
+   * Сначала ключи реестра, которые с именем канала из топика дают хэш пакета
+   * (так ключ по умолчанию подходит к любому пресету), затем записи реестра
+   * с совпадающим хэшем
+   * @param {number} channelHash - MeshPacket.channel
+   * @param {string} channelName - Имя канала из топика/ServiceEnvelope
+   * @returns {Array} - Кандидаты [{ channel, keyName, key }]
+   */
+  getCandidates(channelHash, channelName) {
+    const candidates = [];
+    const seen = new Set();
+
+    const addCandidate = (channel, entry) => {
+      const id = `${channel}:${entry.key ? entry.key.toString("hex") : ""}`;
+      if (seen.has(id)) {
+        return;
+      }
+      seen.add(id);
+      candidates.push({ channel, keyName: entry.name, key: entry.key });
+    };
+
+    if (channelName) {
+      this.entries.forEach((entry) => {
+        if (computeChannelHash(channelName, entry.key) === channelHash) {
+          addCandidate(channelName, entry);
+        }
+      });
+    }
+
+    (this.entriesByHash.get(channelHash) || []).forEach((entry) =>
+      addCandidate(entry.name, entry)
+    );
+
+    return candidates;
+  }
+
+  /**
+   * Возвращает запись реестра по имени канала
+   * @param {string} name - Имя канала
+   * @returns {Object|null} - { name, key, hash, source } или null
+   */
+  getByName(name) {
+    return this.entries.find((entry) => entry.name === name) || null;
+  }
+
+  /**
+   * Учитывает результат расшифровки
+   * @param {Object} candidate - Кандидат из getCandidates
+   * @param {boolean} success - Успешна ли расшифровка
+   */
+  recordResult(candidate, success) {
+    [this.stats, this.pendingStats].forEach((statsMap) => {
+      const current = statsMap.get(candidate.channel) || {
+        keyName: candidate.keyName,
+        decrypted: 0,
+        failed: 0,
+        lastSeen: null,
+      };
+
+      current.keyName = candidate.keyName;
+      if (success) {
+        current.decrypted++;
+        current.lastSeen = Date.now();
+      } else {
+        current.failed++;
+      }
+
+      statsMap.set(candidate.channel, current);
+    });
+  }
+
+  /**
+   * Сохраняет накопленную статистику в Redis
+   */
+  async flushStats() {
+    if (!this.redisManager || this.pendingStats.size === 0) {
+      return;
+    }
+
+    const pending = Object.fromEntries(this.pendingStats);
+    this.pendingStats = new Map();
+    await this.redisManager.incrementChannelKeyStats(pending);
+  }
+
+  /**
+   * Возвращает статистику расшифровки с момента запуска
+   * @returns {Object} - Статистика по каналам
+   */
+  getStats() {
+    return {
+      keys: this.entries.map(({ name, source, hash }) => ({
+        name,
+        source,
+        hash,
+      })),
+      channels: Object.fromEntries(this.stats),
+    };
+  }
+
+  /**
+   * Останавливает периодические задачи и сохраняет статистику
+   */
+  async stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.statsTimer);
+    await this.flushStats();
+  }
+}
+
+export default ChannelKeyRegistry;
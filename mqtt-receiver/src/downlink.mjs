@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import { applyChannelCipher, computeChannelHash } from "./channelKeys.mjs";
+
+const BROADCAST_ADDRESS = 0xffffffff;
+const TEXT_MESSAGE_PORTNUM = 1;
+
+/**
+ * Отправка текстовых сообщений в сеть через MQTT (downlink).
+ * HTTP API кладет запросы в Redis (downlink:queue), сервис забирает их,
+ * собирает ServiceEnvelope от имени виртуального шлюза и публикует в
+ * msh/<region>/2/e/<channel>/<gateway>
+ */
+export class DownlinkService {
+  /**
+   * @param {Object} options - Зависимости и настройки
+   * @param {MQTTManager} options.mqttManager - MQTT Manager
+   * @param {ChannelKeyRegistry} options.channelKeys - Реестр ключей каналов
+   * @param {Object} options.config - mqttReceiverConfig.downlink
+   */
+  constructor({ mqttManager, channelKeys, config = {} }) {
+    this.mqttManager = mqttManager;
+    this.channelKeys = channelKeys;
+    this.config = {
+      enabled: false,
+      gatewayId: null,
+      defaultServer: null,
+      defaultRegion: null,
+      hopLimit: 3,
+      pollInterval: 1000,
+      maxRequestAge: 5 * 60 * 1000,
+      ...config,
+    };
+
+    this.redisManager = null;
+    this.protoTypes = null;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Запускает обработку очереди запросов
+   * @param {RedisManager} redisManager - Redis Manager
+   * @param {Object} protoTypes - Загруженные protobuf типы
+   */
+  start(redisManager, protoTypes) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    if (!/^![0-9a-fA-F]{8}$/.test(this.config.gatewayId || "")) {
+      console.error(
+        "❌ [MQTT-Receiver] Downlink отключен: gatewayId должен быть в формате !xxxxxxxx"
+      );
+      return;
+    }
+
+    this.redisManager = redisManager;
+    this.protoTypes = protoTypes;
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+
+    console.log(
+      `📤 [MQTT-Receiver] Downlink включен, виртуальный шлюз ${this.config.gatewayId}`
+    );
+  }
+
+  /**
+   * Обрабатывает накопившиеся запросы
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      let request;
+      while ((request = await this.redisManager.popDownlinkRequest())) {
+        await this.send(request);
+      }
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка обработки очереди downlink:",
+        error.message
+      );
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Отправляет одно сообщение и записывает результат в журнал
+   * @param {Object} request - Запрос из HTTP API
+   */
+  async send(request) {
+    const serverName = request.server || this.config.defaultServer;
+    const region = request.region || this.config.defaultRegion;
+    const audit = {
+      requestId: request.requestId,
+      server: serverName,
+      region,
+      channel: request.channel,
+    };
+
+    try {
+      if (Date.now() - request.requestedAt > this.config.maxRequestAge) {
+        throw new Error("Request expired");
+      }
+      if (!serverName || !region) {
+        throw new Error("Server and region are required");
+      }
+
+      const { topic, payload, packetId } = this.buildEnvelope({
+        ...request,
+        region,
+      });
+      await this.mqttManager.publish(serverName, topic, payload);
+
+      console.log(
+        `📤 [MQTT-Receiver] [${serverName}] Отправлено сообщение ${packetId} в ${topic}`
+      );
+      await this.redisManager.saveDownlinkAudit({
+        ...audit,
+        status: "sent",
+        topic,
+        packetId,
+      });
+    } catch (error) {
+      console.error(
+        `❌ [MQTT-Receiver] Ошибка отправки downlink ${request.requestId}:`,
+        error.message
+      );
+      await this.redisManager.saveDownlinkAudit({
+        ...audit,
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Собирает зашифрованный ServiceEnvelope с TEXT_MESSAGE_APP
+   * @param {Object} request - { text, channel, region }
+   * @returns {Object} - { topic, payload, packetId }
+   */
+  buildEnvelope({ text, channel, region }) {
+    const channelEntry = this.channelKeys.getByName(channel);
+    if (!channelEntry) {
+      throw new Error(`No key registered for channel ${channel}`);
+    }
+
+    const { Data, MeshPacket, ServiceEnvelope } = this.protoTypes;
+    const gatewayId = this.config.gatewayId.toLowerCase();
+    const fromNode = parseInt(gatewayId.substring(1), 16);
+    const packetId = crypto.randomInt(1, BROADCAST_ADDRESS);
+
+    const data = Data.encode(
+      Data.create({
+        portnum: TEXT_MESSAGE_PORTNUM,
+        payload: Buffer.from(text, "utf8"),
+      })
+    ).finish();
+
+    const packet = MeshPacket.create({
+      from: fromNode,
+      to: BROADCAST_ADDRESS,
+      channel: computeChannelHash(channel, channelEntry.key),
+      id: packetId,
+      hopLimit: this.config.hopLimit,
+      hopStart: this.config.hopLimit,
+      encrypted: applyChannelCipher(channelEntry.key, packetId, fromNode, data),
+    });
+
+    const payload = ServiceEnvelope.encode(
+      ServiceEnvelope.create({ packet, channelId: channel, gatewayId })
+    ).finish();
+
+    return {
+      topic: `msh/${region}/2/e/${channel}/${gatewayId}`,
+      payload: Buffer.from(payload),
+      packetId,
+    };
+  }
+
+  /**
+   * Останавливает обработку очереди
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+export default DownlinkService;
@@ -0,0 +1,371 @@
+import os from "os";
+import { CONSTANTS } from "./utils.mjs";
+
+const { EVENT_STREAM_KEY, EVENT_STREAM_GROUP, EVENT_DEAD_LETTER_KEY } =
+  CONSTANTS;
+
+/**
+ * Сериализует событие в JSON. Buffer/Uint8Array кодируются как { __b64 },
+ * protobuf сообщения превращаются в обычные объекты (без toJSON, чтобы
+ * portnum и другие enum остались числами)
+ * @param {*} value - Значение
+ * @returns {*} - Значение, пригодное для JSON.stringify
+ */
+const toPlain = (value) => {
+  if (value instanceof Uint8Array) {
+    return { __b64: Buffer.from(value).toString("base64") };
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === "object") {
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      if (typeof value[key] !== "function" && value[key] !== undefined) {
+        plain[key] = toPlain(value[key]);
+      }
+    });
+    return plain;
+  }
+  return value;
+};
+
+/**
+ * Восстанавливает Buffer из { __b64 } при JSON.parse
+ */
+const reviveBuffers = (key, value) =>
+  value && typeof value === "object" && typeof value.__b64 === "string"
+    ? Buffer.from(value.__b64, "base64")
+    : value;
+
+/**
+ * Преобразует плоский массив полей Redis Stream в объект
+ * @param {Array} fields - [field1, value1, field2, value2, ...]
+ * @returns {Object}
+ */
+const fieldsToObject = (fields) => {
+  const result = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    result[fields[i]] = fields[i + 1];
+  }
+  return result;
+};
+
+/**
+ * Надежная очередь событий на Redis Streams.
+ * processEvent добавляет событие в поток (XADD), обработчики читают его через
+ * группу потребителей (XREADGROUP) и подтверждают (XACK) только после успешной
+ * обработки. Неподтвержденные события после паузы забираются повторно (XCLAIM),
+ * в том числе у упавших реплик, а после maxRetries попыток переносятся в
+ * dead-letter поток events:dead
+ */
+export class DurableEventQueue {
+  /**
+   * @param {Object} options - Настройки (mqttReceiverConfig.durableQueue)
+   * @param {boolean} options.enabled - Включен ли режим
+   * @param {string} options.consumerName - Имя потребителя (должно сохраняться между рестартами)
+   * @param {number} options.batchSize - Событий за одно чтение
+   * @param {number} options.blockMs - Время ожидания новых событий (мс)
+   * @param {number} options.maxLength - Примерная максимальная длина потока
+   * @param {number} options.maxRetries - Попыток обработки до переноса в dead-letter
+   * @param {number} options.retryIdleMs - Через сколько неподтвержденное событие забирается повторно (мс)
+   * @param {number} options.recoverInterval - Интервал проверки неподтвержденных событий (мс)
+   */
+  constructor(options = {}) {
+    this.config = {
+      enabled: false,
+      consumerName: `${os.hostname()}`,
+      batchSize: 50,
+      blockMs: 5000,
+      maxLength: 100000,
+      maxRetries: 5,
+      retryIdleMs: 60000,
+      recoverInterval: 30000,
+      ...options,
+    };
+    this.enabled = this.config.enabled === true;
+
+    this.redis = null;
+    this.reader = null;
+    this.handler = null;
+    this.running = false;
+    this.loopPromise = null;
+    this.recoverTimer = null;
+    this.recovering = false;
+    this.lastErrors = new Map();
+    this.stats = {
+      appended: 0,
+      processed: 0,
+      failed: 0,
+      retried: 0,
+      deadLettered: 0,
+    };
+  }
+
+  /**
+   * Создает группу потребителей и запускает чтение потока
+   * @param {RedisManager} redisManager - Redis Manager
+   * @param {Function} handler - async (item) => void, ошибка означает повтор
+   */
+  async start(redisManager, handler) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.redis = redisManager.redis;
+    // Блокирующее чтение занимает соединение - используем отдельное
+    this.reader = this.redis.duplicate();
+    this.handler = handler;
+
+    try {
+      await this.redis.xgroup(
+        "CREATE",
+        EVENT_STREAM_KEY,
+        EVENT_STREAM_GROUP,
+        "0",
+        "MKSTREAM"
+      );
+    } catch (error) {
+      if (!error.message.includes("BUSYGROUP")) {
+        throw error;
+      }
+    }
+
+    this.running = true;
+
+    // События, выданные этому потребителю до рестарта
+    await this.readBatch("0");
+
+    this.loopPromise = this.readLoop();
+    this.recoverTimer = setInterval(
+      () => this.recover(),
+      this.config.recoverInterval
+    );
+
+    console.log(
+      `💾 [MQTT-Receiver] Надежная очередь включена: ${EVENT_STREAM_KEY}, потребитель ${this.config.consumerName}`
+    );
+  }
+
+  /**
+   * Добавляет событие в поток
+   * @param {Object} item - { server, fullTopic, user, eventName, eventType, event }
+   */
+  async append(item) {
+    const payload = JSON.stringify(
+      toPlain({
+        server: item.server.name, // Конфиг сервера содержит учетные данные
+        fullTopic: item.fullTopic,
+        user: item.user,
+        eventName: item.eventName,
+        eventType: item.eventType,
+        event: item.event,
+      })
+    );
+
+    await this.redis.xadd(
+      EVENT_STREAM_KEY,
+      "MAXLEN",
+      "~",
+      this.config.maxLength,
+      "*",
+      "event",
+      payload,
+      "enqueuedAt",
+      Date.now()
+    );
+    this.stats.appended++;
+  }
+
+  /**
+   * Основной цикл чтения новых событий
+   */
+  async readLoop() {
+    while (this.running) {
+      try {
+        await this.readBatch(">");
+      } catch (error) {
+        if (!this.running) {
+          break;
+        }
+        console.error(
+          "❌ [MQTT-Receiver] Ошибка чтения потока событий:",
+          error.message
+        );
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Читает и обрабатывает пачку событий
+   * @param {string} startId - ">" для новых событий, "0" для своих неподтвержденных
+   */
+  async readBatch(startId) {
+    const result = await this.reader.xreadgroup(
+      "GROUP",
+      EVENT_STREAM_GROUP,
+      this.config.consumerName,
+      "COUNT",
+      this.config.batchSize,
+      ...(startId === ">" ? ["BLOCK", this.config.blockMs] : []),
+      "STREAMS",
+      EVENT_STREAM_KEY,
+      startId
+    );
+
+    if (!result) {
+      return;
+    }
+
+    const [, entries] = result[0];
+    await this.processEntries(entries);
+  }
+
+  /**
+   * Обрабатывает записи потока параллельно и подтверждает успешные
+   * @param {Array} entries - [[id, fields], ...]
+   */
+  async processEntries(entries) {
+    await Promise.allSettled(
+      entries.map(([id, fields]) =>
+        fields
+          ? this.processEntry(id, fieldsToObject(fields))
+          : // Запись удалена тримом потока - обрабатывать нечего
+            this.redis.xack(EVENT_STREAM_KEY, EVENT_STREAM_GROUP, id)
+      )
+    );
+  }
+
+  /**
+   * Обрабатывает одну запись потока
+   * @param {string} id - ID записи
+   * @param {Object} fields - Поля записи
+   */
+  async processEntry(id, fields) {
+    try {
+      const item = JSON.parse(fields.event, reviveBuffers);
+      await this.handler(item);
+      await this.redis.xack(EVENT_STREAM_KEY, EVENT_STREAM_GROUP, id);
+      this.lastErrors.delete(id);
+      this.stats.processed++;
+    } catch (error) {
+      // Не подтверждаем - событие будет забрано повторно в recover()
+      this.lastErrors.set(id, error.message);
+      this.stats.failed++;
+    }
+  }
+
+  /**
+   * Забирает зависшие события (в том числе у упавших реплик) и
+   * переносит в dead-letter события, исчерпавшие попытки
+   */
+  async recover() {
+    if (this.recovering || !this.running) {
+      return;
+    }
+
+    this.recovering = true;
+    try {
+      const pending = await this.redis.xpending(
+        EVENT_STREAM_KEY,
+        EVENT_STREAM_GROUP,
+        "IDLE",
+        this.config.retryIdleMs,
+        "-",
+        "+",
+        this.config.batchSize
+      );
+
+      const retryIds = [];
+      for (const [id, , , deliveries] of pending) {
+        if (deliveries >= this.config.maxRetries) {
+          await this.moveToDeadLetter(id, deliveries);
+        } else {
+          retryIds.push(id);
+        }
+      }
+
+      if (retryIds.length > 0) {
+        const claimed = await this.redis.xclaim(
+          EVENT_STREAM_KEY,
+          EVENT_STREAM_GROUP,
+          this.config.consumerName,
+          this.config.retryIdleMs,
+          ...retryIds
+        );
+        this.stats.retried += claimed.length;
+        await this.processEntries(claimed);
+      }
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка повторной обработки событий:",
+        error.message
+      );
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  /**
+   * Переносит событие в dead-letter поток
+   * @param {string} id - ID записи
+   * @param {number} deliveries - Количество попыток
+   */
+  async moveToDeadLetter(id, deliveries) {
+    const [entry] = await this.redis.xrange(EVENT_STREAM_KEY, id, id);
+
+    if (entry) {
+      const fields = fieldsToObject(entry[1]);
+      await this.redis.xadd(
+        EVENT_DEAD_LETTER_KEY,
+        "MAXLEN",
+        "~",
+        10000,
+        "*",
+        "event",
+        fields.event,
+        "originalId",
+        id,
+        "deliveries",
+        deliveries,
+        "error",
+        this.lastErrors.get(id) || "unknown",
+        "failedAt",
+        Date.now()
+      );
+      this.stats.deadLettered++;
+      console.log(
+        `☠️ [MQTT-Receiver] Событие ${id} перенесено в ${EVENT_DEAD_LETTER_KEY} после ${deliveries} попыток`
+      );
+    }
+
+    await this.redis.xack(EVENT_STREAM_KEY, EVENT_STREAM_GROUP, id);
+    await this.redis.xdel(EVENT_STREAM_KEY, id);
+    this.lastErrors.delete(id);
+  }
+
+  /**
+   * Возвращает статистику очереди
+   */
+  getStats() {
+    return { enabled: this.enabled, ...this.stats };
+  }
+
+  /**
+   * Останавливает чтение. Неподтвержденные события останутся в потоке
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearInterval(this.recoverTimer);
+    // Прерываем блокирующее чтение
+    this.reader.disconnect();
+    await this.loopPromise;
+  }
+}
+
+export default DurableEventQueue;
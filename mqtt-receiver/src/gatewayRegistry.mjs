@@ -0,0 +1,177 @@
+import { applyGatewayStaleness } from "./utils.mjs";
+
+/**
+ * Реестр шлюзов: статус online/offline из LWT сообщений топика stat
+ * (msh/<регион>/2/stat/<шлюз>) и активность по ServiceEnvelope.gatewayId.
+ * Состояние кешируется в памяти и сохраняется в Redis (gateway:<id>)
+ */
+export class GatewayRegistry {
+  /**
+   * @param {Object} options - Настройки (mqttReceiverConfig.gateways)
+   * @param {boolean} options.enabled - Включен ли реестр
+   * @param {number} options.seenWriteInterval - Как часто сохранять lastSeen одного шлюза (мс)
+   * @param {number} options.staleTimeout - Через сколько молчания шлюз без LWT считается offline (мс)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.seenWriteInterval = options.seenWriteInterval ?? 60 * 1000;
+    this.staleTimeout = options.staleTimeout ?? 30 * 60 * 1000;
+
+    this.redisManager = null;
+    this.gateways = new Map();
+  }
+
+  /**
+   * Подключает Redis
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  init(redisManager) {
+    this.redisManager = redisManager;
+  }
+
+  /**
+   * Обрабатывает LWT статус шлюза
+   * @param {Object} server - Объект сервера (брокер)
+   * @param {string} gatewayId - ID шлюза из топика (!xxxxxxxx)
+   * @param {Buffer} payload - "online" или "offline"
+   */
+  async handleStatus(server, gatewayId, payload) {
+    const status = String(payload || "")
+      .trim()
+      .toLowerCase();
+
+    if (
+      !this.enabled ||
+      !gatewayId ||
+      !["online", "offline"].includes(status)
+    ) {
+      return;
+    }
+
+    await this.update(server, gatewayId, status);
+  }
+
+  /**
+   * Отмечает шлюз, переславший пакет: он online у этого брокера
+   * @param {Object} server - Объект сервера (брокер)
+   * @param {string} gatewayId - ServiceEnvelope.gatewayId
+   */
+  async handleSeen(server, gatewayId) {
+    if (!this.enabled || !gatewayId) {
+      return;
+    }
+
+    await this.update(server, gatewayId, "online", { seen: true });
+  }
+
+  /**
+   * Применяет статус к состоянию шлюза и сохраняет изменения
+   * @param {Object} server - Объект сервера (брокер)
+   * @param {string} gatewayId - ID шлюза
+   * @param {string} status - online | offline
+   * @param {Object} options - { seen } - статус выведен из пересланного пакета
+   */
+  async update(server, gatewayId, status, options = {}) {
+    try {
+      const now = Date.now();
+      const state = await this.getState(gatewayId, now);
+
+      // Замолчавший шлюз без LWT: период online закончился на последнем пакете
+      const { stale, ...current } = applyGatewayStaleness(state, now);
+      if (stale) {
+        Object.assign(state, current);
+      }
+
+      const broker = state.brokers[server.name];
+      const statusChanged = state.status !== status;
+
+      // Пакеты идут часто: без смены статуса пишем не чаще seenWriteInterval
+      if (
+        options.seen &&
+        !statusChanged &&
+        broker?.status === status &&
+        now - broker.lastSeen < this.seenWriteInterval
+      ) {
+        return;
+      }
+
+      if (statusChanged) {
+        // Накопленное время online нужно для процента аптайма
+        if (state.status === "online") {
+          state.onlineMs += now - state.statusChangedAt;
+        }
+        state.status = status;
+        state.statusChangedAt = now;
+        state[status === "online" ? "lastOnline" : "lastOffline"] = now;
+      }
+      // Статус из LWT надежнее выведенного из пакетов
+      if (statusChanged || !options.seen) {
+        state.statusSource = options.seen ? "seen" : "stat";
+      }
+      state.staleTimeout = this.staleTimeout;
+
+      if (options.seen) {
+        state.lastSeen = now;
+      }
+      state.brokers[server.name] = {
+        status,
+        lastSeen: options.seen ? now : broker?.lastSeen || null,
+        updatedAt: now,
+      };
+
+      const { brokers, ...fields } = state;
+      await this.redisManager.saveGatewayState(gatewayId, fields, {
+        name: server.name,
+        ...brokers[server.name],
+      });
+
+      if (statusChanged && !options.seen) {
+        console.log(
+          `📡 [MQTT-Receiver] [${server.name}] Шлюз ${gatewayId}: ${status}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `❌ [MQTT-Receiver] Ошибка обновления статуса шлюза ${gatewayId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает состояние шлюза из памяти или Redis
+   * @param {string} gatewayId - ID шлюза
+   * @param {number} now - Время первого появления для нового шлюза
+   * @returns {Promise<Object>} - Состояние (новое, если шлюза еще нет)
+   */
+  async getState(gatewayId, now = Date.now()) {
+    let state = this.gateways.get(gatewayId);
+    if (state) {
+      return state;
+    }
+
+    const saved = await this.redisManager.getGatewayState(gatewayId);
+    // Пока читали Redis, состояние мог создать параллельный пакет
+    if (this.gateways.has(gatewayId)) {
+      return this.gateways.get(gatewayId);
+    }
+
+    state = saved || {
+      status: "unknown",
+      firstSeen: now,
+      statusChangedAt: now,
+      onlineMs: 0,
+      lastOnline: null,
+      lastOffline: null,
+      lastSeen: null,
+      statusSource: null,
+      staleTimeout: this.staleTimeout,
+      brokers: {},
+    };
+
+    this.gateways.set(gatewayId, state);
+    return state;
+  }
+}
+
+export default GatewayRegistry;
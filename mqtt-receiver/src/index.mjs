@@ -1,5 +1,4 @@
 import fs from "fs";
-import crypto from "crypto";
 import path from "path";
 import protobufjs from "protobufjs";
 
@@ -14,7 +13,27 @@ import { MQTTManager } from "./mqtt.mjs";
 import { RedisManager } from "./shared/redisManager.mjs";
 import { ProtobufDecoder } from "./protobufDecoder.mjs";
 import { MessageQueue } from "./shared/messageQueue.mjs";
-import { decodeMeshcoreRaw, decodeAdvertPacket } from "./meshcoreParser.mjs";
+import {
+  ChannelKeyRegistry,
+  applyChannelCipher,
+} from "./channelKeys.mjs";
+import { PkiKeyStore } from "./pkiKeys.mjs";
+import { DownlinkService } from "./downlink.mjs";
+import { PacketDeduplicator } from "./packetDeduplicator.mjs";
+import { DurableEventQueue } from "./durableQueue.mjs";
+import { ServerConfigWatcher } from "./serverConfigWatcher.mjs";
+import { TrafficCapture } from "./trafficCapture.mjs";
+import { GatewayRegistry } from "./gatewayRegistry.mjs";
+import { NodeRateLimiter } from "./rateLimiter.mjs";
+import { normalizeJsonUplink } from "./jsonUplink.mjs";
+import {
+  decodeMeshcoreRaw,
+  decodeAdvertPacket,
+  createMeshcoreChannel,
+  decryptGroupTextPayload,
+  getMeshcorePacketHash,
+  MESHCORE_PUBLIC_CHANNEL_KEY,
+} from "./meshcoreParser.mjs";
 import {
   shouldLogError,
   bufferToHex,
@@ -27,6 +46,10 @@ import {
   isValidPacket,
   getPortnumName,
   isValidUserName,
+  parseTopic,
+  maskCredentials,
+  calculateDistance,
+  getHopsTravelled,
   CONSTANTS,
 } from "./utils.mjs";
 import {
@@ -38,13 +61,14 @@ import {
   handleTelegramMessage,
   cleanupTelegramResources,
   sendPersonalMessage,
+  handleDetectionSensorAlert,
 } from "./telegram.mjs";
 
 const {
   MAX_METADATA_ITEMS_COUNT,
   DEVICE_EXPIRY_TIME,
-  DECRYPTION_KEYS,
   PROTOBUFS_PATH,
+  ROUTING_ACK_LOOKUP_LIMIT,
 } = CONSTANTS;
 
 /**
@@ -52,12 +76,63 @@ const {
  */
 class MqttReceiver {
   constructor() {
-    this.mqttManager = new MQTTManager();
+    this.mqttManager = new MQTTManager({
+      reconnect: mqttReceiverConfig.reconnect,
+      watchdog: mqttReceiverConfig.watchdog,
+    });
     this.redisManager = null;
     this.protoTypes = {};
     this.protobufDecoder = new ProtobufDecoder();
+    // Реестр ключей каналов (конфиг + Redis)
+    this.channelKeys = new ChannelKeyRegistry({
+      keys: mqttReceiverConfig.channelKeys,
+      refreshInterval: mqttReceiverConfig.channelKeysRefreshInterval,
+    });
+    // Приватные ключи наших нод для расшифровки PKI личных сообщений
+    this.pkiKeys = new PkiKeyStore({ keys: mqttReceiverConfig.pkiKeys });
+    // Отправка сообщений в сеть по запросам из HTTP API
+    this.downlink = new DownlinkService({
+      mqttManager: this.mqttManager,
+      channelKeys: this.channelKeys,
+      config: mqttReceiverConfig.downlink,
+    });
+    // Склеивает копии одного пакета от разных брокеров/шлюзов
+    this.deduplicator = new PacketDeduplicator({
+      ...mqttReceiverConfig.deduplication,
+      onPacket: (item) => this.enqueueEvent(item),
+      onLateReception: (item, reception) =>
+        this.handleLateReception(item, reception),
+    });
     // Инициализируем очередь для асинхронной обработки сообщений
-    this.messageQueue = new MessageQueue({ concurrency: 10 });
+    const { priorities, ...queueOptions } = mqttReceiverConfig.queue || {};
+    this.queuePriorities = priorities || {};
+    this.messageQueue = new MessageQueue({
+      concurrency: 10,
+      ...queueOptions,
+      onBackpressure: (active, stats) =>
+        this.handleQueueBackpressure(active, stats),
+    });
+    // Статус шлюзов (LWT топика stat и пересланные пакеты)
+    this.gatewayRegistry = new GatewayRegistry(mqttReceiverConfig.gateways);
+    // Каналы MeshCore для расшифровки GRP_TXT: Public + хэштег/приватные из конфига
+    this.meshcoreChannels = [
+      { name: "Public", secret: MESHCORE_PUBLIC_CHANNEL_KEY },
+      ...(mqttReceiverConfig.meshcore?.channels || []),
+    ]
+      .map(({ name, secret }) => createMeshcoreChannel(name, secret))
+      .filter(Boolean);
+    // Лимиты частоты пакетов от нод и карантин для нарушителей
+    this.rateLimiter = new NodeRateLimiter(mqttReceiverConfig.rateLimit);
+    // Запись сырого трафика для replay (опционально)
+    this.capture = new TrafficCapture(mqttReceiverConfig.capture);
+    // Перечитывание списка серверов без перезапуска
+    this.serverWatcher = new ServerConfigWatcher({
+      ...mqttReceiverConfig.serverReload,
+      initialServers: servers,
+      onChange: (nextServers) => this.mqttManager.applyServerList(nextServers),
+    });
+    // Надежная очередь на Redis Streams (опционально)
+    this.durableQueue = new DurableEventQueue(mqttReceiverConfig.durableQueue);
     this._setupMessageQueueHandlers();
   }
 
@@ -76,6 +151,44 @@ class MqttReceiver {
         data.event
       );
     });
+
+    // Обработчик событий из Redis Stream: ошибка оставляет событие неподтвержденным
+    this.messageQueue.addHandler("durable", async (data) => {
+      return await this.processEventInternal(
+        data.server,
+        data.fullTopic,
+        data.user,
+        data.eventName,
+        data.eventType,
+        data.event,
+        { throwOnError: true }
+      );
+    });
+  }
+
+  /**
+   * Инициализирует конвейер обработки сообщений (protobuf, Redis, ключи,
+   * дедупликация) без MQTT подключений. Используется также в replay
+   * @param {Object} options - { redis } - переопределения redisConfig
+   */
+  async initPipeline(options = {}) {
+    // Загружаем protobuf схемы (без protobufs - встроенная схема)
+    await this.loadProtobufs(this.checkProtobufs());
+
+    // Инициализируем Redis (только для записи)
+    await this.initializeRedis(options.redis);
+
+    // Отчет о декодируемых типах для HTTP API (/protobufs)
+    await this.redisManager.saveProtobufCapabilities(
+      this.protobufDecoder.getCapabilities()
+    );
+
+    // Загружаем ключи каналов (конфиг + Redis)
+    await this.channelKeys.init(this.redisManager);
+    this.pkiKeys.init(this.redisManager);
+    this.deduplicator.init(this.redisManager);
+    this.gatewayRegistry.init(this.redisManager);
+    this.rateLimiter.init(this.redisManager);
   }
 
   /**
@@ -85,14 +198,10 @@ class MqttReceiver {
     try {
       console.log("🚀 [MQTT-Receiver] Инициализация MQTT Receiver...");
 
-      // Проверяем protobufs
-      this.checkProtobufs();
-
-      // Загружаем protobuf схемы
-      await this.loadProtobufs();
+      await this.initPipeline();
 
-      // Инициализируем Redis (только для записи)
-      await this.initializeRedis();
+      // Открываем файл захвата трафика
+      this.capture.start();
 
       // Инициализируем Telegram бота
       await this.initializeTelegram();
@@ -100,6 +209,19 @@ class MqttReceiver {
       // Инициализируем MQTT
       await this.initializeMqtt();
 
+      // Следим за изменениями списка серверов (config.mjs / Redis)
+      if (mqttReceiverConfig.serverReload?.enabled !== false) {
+        this.serverWatcher.start(this.redisManager);
+      }
+
+      // Запускаем обработку запросов на отправку
+      this.downlink.start(this.redisManager, this.protoTypes);
+
+      // Запускаем чтение надежной очереди (в том числе событий до рестарта)
+      await this.durableQueue.start(this.redisManager, (item) =>
+        this.processDurableItem(item)
+      );
+
       console.log("✅ [MQTT-Receiver] Инициализация завершена успешно!");
     } catch (error) {
       console.error("❌ [MQTT-Receiver] Ошибка инициализации:", error);
@@ -109,12 +231,13 @@ class MqttReceiver {
 
   /**
    * Проверяет наличие protobuf файлов
+   * @returns {boolean} - true, если protobufs найдены
    */
   checkProtobufs() {
     // Путь к protobufs относительно корня проекта
     const protobufPath = path.join(
       process.cwd(),
-      "protobufs",
+      PROTOBUFS_PATH,
       "meshtastic/mqtt.proto"
     );
     console.log(`Проверяю protobufs по пути: ${protobufPath}`);
@@ -126,24 +249,34 @@ class MqttReceiver {
           "",
           "Для работы клиента необходимо склонировать protobufs:",
           "git clone https://github.com/meshtastic/protobufs.git",
+          "",
+          "Используется встроенная схема, новые поля прошивки не декодируются.",
         ].join("\n")
       );
-      throw new Error("Protobufs не найдены");
+      return false;
     }
+    return true;
   }
 
   /**
    * Загружает protobuf схемы
+   * @param {boolean} protobufsFound - Найдены ли .proto файлы
    */
-  async loadProtobufs() {
+  async loadProtobufs(protobufsFound) {
+    if (!protobufsFound) {
+      this.useEmbeddedProtobufs();
+      return;
+    }
+
     try {
+      const protobufsPath = path.join(process.cwd(), PROTOBUFS_PATH);
       const root = new protobufjs.Root();
-      root.resolvePath = (origin, target) =>
-        path.join(process.cwd(), "protobufs", target);
+      root.resolvePath = (origin, target) => path.join(protobufsPath, target);
       root.loadSync("meshtastic/mqtt.proto");
 
       this.protoTypes = {
         ServiceEnvelope: root.lookupType("ServiceEnvelope"),
+        MeshPacket: root.lookupType("MeshPacket"),
         Data: root.lookupType("Data"),
         Position: root.lookupType("Position"),
         User: root.lookupType("User"),
@@ -154,17 +287,37 @@ class MqttReceiver {
         RouteDiscovery: root.lookupType("RouteDiscovery"),
       };
 
+      // Типы payload декодера тоже берутся из .proto файлов
+      if (this.protobufDecoder.loadFromDirectory(protobufsPath)) {
+        const { version, decoders } = this.protobufDecoder.getCapabilities();
+        const sources = Object.values(decoders);
+        const loadedCount = sources.filter((s) => s === "protobufs").length;
+        console.log(
+          `✅ [MQTT-Receiver] Декодеры payload из protobufs (${version}): ${loadedCount} из ${sources.length}`
+        );
+      }
+
       console.log("✅ [MQTT-Receiver] Protobuf схемы успешно загружены");
     } catch (error) {
       console.error("❌ [MQTT-Receiver] Ошибка загрузки protobuf схем:", error);
-      throw error;
+      this.useEmbeddedProtobufs();
     }
   }
 
+  /**
+   * Использует встроенную схему декодера для конверта MQTT
+   */
+  useEmbeddedProtobufs() {
+    const { ServiceEnvelope, MeshPacket, Data } = this.protobufDecoder;
+    this.protoTypes = { ServiceEnvelope, MeshPacket, Data };
+    console.log("⚠️ [MQTT-Receiver] Используется встроенная protobuf схема");
+  }
+
   /**
    * Инициализирует Redis Manager (только для записи)
+   * @param {Object} overrides - Переопределения redisConfig (например db для replay)
    */
-  async initializeRedis() {
+  async initializeRedis(overrides = {}) {
     const retryDelay = 10000; // 10 секунд между попытками
     let attempt = 0;
 
@@ -182,7 +335,10 @@ class MqttReceiver {
           }
         }
 
-        this.redisManager = new RedisManager(redisConfig, "MQTT-Receiver");
+        this.redisManager = new RedisManager(
+          { ...redisConfig, ...overrides },
+          "MQTT-Receiver"
+        );
         await this.redisManager.ping();
 
         console.log(
@@ -264,6 +420,9 @@ class MqttReceiver {
    * Обрабатывает входящие MQTT сообщения
    */
   handleMessage(server, topic, payload) {
+    // Сохраняем сырое сообщение до любой обработки
+    this.capture.write(server, topic, payload);
+
     try {
       // Парсим топик
       const topicParts = topic.split("/");
@@ -297,10 +456,24 @@ class MqttReceiver {
         return;
       }
 
-      const [, , type, channel, user] = topicParts;
+      // Разбираем топик по раскладке сервера (по умолчанию msh/<регион>/2/<тип>/<канал>/<шлюз>)
+      const parsedTopic = parseTopic(
+        topic,
+        server.topicLayout || CONSTANTS.DEFAULT_TOPIC_LAYOUT
+      );
 
-      // Пропускаем статусные сообщения
+      if (!parsedTopic) {
+        console.log(
+          `⚠️ [MQTT-Receiver] [${server.name}] Топик не соответствует раскладке: ${topic}`
+        );
+        return;
+      }
+
+      const { type, channel, gateway: user } = parsedTopic;
+
+      // LWT статус шлюза: msh/<регион>/2/stat/<шлюз> - online/offline
       if (type === "stat") {
+        this.gatewayRegistry.handleStatus(server, user || channel, payload);
         return;
       }
 
@@ -316,7 +489,8 @@ class MqttReceiver {
           server,
           topic,
           user,
-          new Uint8Array(payload)
+          new Uint8Array(payload),
+          channel
         );
       }
     } catch (error) {
@@ -330,12 +504,29 @@ class MqttReceiver {
   }
 
   /**
-   * Обрабатывает JSON сообщения
+   * Обрабатывает JSON сообщения (приводит к модели декодированного пакета)
    */
   handleJsonMessage(server, topic, user, payload) {
     try {
       const jsonData = JSON.parse(payload.toString());
-      this.processEvent(server, topic, user, "json", "json", jsonData);
+      const normalized = normalizeJsonUplink(jsonData, user);
+      if (!normalized) {
+        return;
+      }
+
+      this.gatewayRegistry.handleSeen(server, normalized.event.gatewayId);
+
+      const eventType = this.getEventTypeByPortnum(normalized.portnum);
+      if (eventType) {
+        this.processEvent(
+          server,
+          topic,
+          user,
+          "json",
+          eventType,
+          normalized.event
+        );
+      }
     } catch (parseError) {
       console.error(
         `❌ [MQTT-Receiver] [${server.name}] Ошибка парсинга JSON:`,
@@ -427,6 +618,15 @@ class MqttReceiver {
                 }
               }
             }
+
+            // Сообщения каналов не содержат ID устройства, сохраняем их отдельно
+            if (meshcorePacket.header.payloadType === "GRP_TXT") {
+              await this.handleMeshcoreGroupText(server, meshcorePacket, {
+                origin,
+                originId,
+              });
+              return;
+            }
           } else {
             console.log(
               `⚠️ [MQTT-Receiver] [${server.name}] Не удалось декодировать MeshCore пакет`
@@ -488,10 +688,62 @@ class MqttReceiver {
     }
   }
 
+  /**
+   * Расшифровывает и сохраняет сообщение канала MeshCore (GRP_TXT)
+   * @param {Object} server - Объект сервера
+   * @param {Object} meshcorePacket - Результат decodeMeshcoreRaw
+   * @param {Object} gateway - { origin, originId } - шлюз, переславший пакет
+   */
+  async handleMeshcoreGroupText(server, meshcorePacket, gateway) {
+    const message = decryptGroupTextPayload(
+      meshcorePacket.payload.bytes,
+      this.meshcoreChannels
+    );
+    if (!message) {
+      console.log(
+        `🔒 [MQTT-Receiver] [${server.name}] GRP_TXT: нет ключа для канала`
+      );
+      return;
+    }
+
+    // Один пакет приходит от нескольких шлюзов, сохраняем первую копию
+    const packetHash = getMeshcorePacketHash(meshcorePacket);
+    const isNew = await this.redisManager.claimPacket(
+      `meshcore:${packetHash}`,
+      this.deduplicator.seenWindowMs
+    );
+    if (!isNew) {
+      return;
+    }
+
+    await this.redisManager.saveMeshcoreMessage(message.channel, {
+      timestamp: Date.now(),
+      sentAt: message.timestamp * 1000,
+      packetHash,
+      channel: message.channel,
+      channelHash: message.channelHash,
+      sender: message.sender,
+      text: message.text,
+      textType: message.textType,
+      attempt: message.attempt,
+      routeType: meshcorePacket.header.routeType,
+      hops: meshcorePacket.path.length,
+      path: meshcorePacket.path.hex,
+      gatewayOrigin: gateway.origin,
+      gatewayOriginId: gateway.originId,
+      server: server.name,
+    });
+
+    console.log(
+      `💬 [MQTT-Receiver] [${server.name}] MeshCore [${message.channel}] ${message.sender || "?"}: ${message.text}`
+    );
+  }
+
   /**
    * Обрабатывает protobuf сообщения
+   * @param {string} topicChannel - Имя канала из топика
    */
-  handleProtobufMessage(server, fullTopic, user, arrayBuffer) {
+  handleProtobufMessage(server, fullTopic, user, arrayBuffer, topicChannel) {
     try {
       // Валидация пакета (используем оптимизированную версию)
       if (!isValidPacketOptimized(arrayBuffer)) {
@@ -532,6 +784,9 @@ class MqttReceiver {
       const meshPacket = serviceEnvelope.packet;
       const { channelId, gatewayId } = serviceEnvelope;
 
+      // Шлюз, переславший пакет, online у этого брокера
+      this.gatewayRegistry.handleSeen(server, gatewayId);
+
       // Обрабатываем decoded данные
       if (meshPacket.decoded) {
         this.processDecodedPacket(
@@ -549,7 +804,8 @@ class MqttReceiver {
           fullTopic,
           user,
           meshPacket,
-          gatewayId
+          gatewayId,
+          channelId || topicChannel
         );
       }
     } catch (error) {
@@ -584,8 +840,61 @@ class MqttReceiver {
   /**
    * Обрабатывает зашифрованный пакет
    */
-  processEncryptedPacket(server, fullTopic, user, meshPacket, gatewayId) {
-    const decrypted = this.decrypt(meshPacket);
+  processEncryptedPacket(
+    server,
+    fullTopic,
+    user,
+    meshPacket,
+    gatewayId,
+    channelName
+  ) {
+    // Личные сообщения для наших нод расшифровываются PKI ключами
+    if (this.pkiKeys.isCandidate(meshPacket, channelName)) {
+      this.processPkiPacket(server, fullTopic, user, meshPacket, gatewayId)
+        .then((handled) => {
+          // Пакет мог быть зашифрован PSK канала (или ключ пира устарел)
+          if (!handled) {
+            this.processChannelPacket(
+              server,
+              fullTopic,
+              user,
+              meshPacket,
+              gatewayId,
+              channelName
+            );
+          }
+        })
+        .catch((error) => {
+          console.error(
+            `❌ [MQTT-Receiver] [${server.name}] Ошибка обработки PKI пакета:`,
+            error.message
+          );
+        });
+      return;
+    }
+
+    this.processChannelPacket(
+      server,
+      fullTopic,
+      user,
+      meshPacket,
+      gatewayId,
+      channelName
+    );
+  }
+
+  /**
+   * Расшифровывает пакет ключом канала и передает событие в обработку
+   */
+  processChannelPacket(
+    server,
+    fullTopic,
+    user,
+    meshPacket,
+    gatewayId,
+    channelName
+  ) {
+    const decrypted = this.decrypt(meshPacket, channelName);
     if (decrypted) {
       const event = this.createEvent(
         server,
@@ -603,6 +912,40 @@ class MqttReceiver {
     }
   }
 
+  /**
+   * Обрабатывает PKI пакет (личное сообщение для нашей ноды)
+   * @returns {Promise<boolean>} - true, если пакет расшифрован PKI ключом
+   */
+  async processPkiPacket(server, fullTopic, user, meshPacket, gatewayId) {
+    const decryptedBuffer = await this.pkiKeys.decrypt(meshPacket);
+    if (!decryptedBuffer) {
+      return false;
+    }
+
+    let decrypted;
+    try {
+      decrypted = this.protoTypes.Data.decode(decryptedBuffer);
+    } catch (decodeError) {
+      return false;
+    }
+
+    const event = this.createEvent(
+      server,
+      fullTopic,
+      user,
+      meshPacket,
+      gatewayId,
+      decrypted
+    );
+    event.pki = true;
+
+    const eventType = this.getEventTypeByPortnum(decrypted.portnum);
+    if (eventType) {
+      this.processEvent(server, fullTopic, user, "decoded", eventType, event);
+    }
+    return true;
+  }
+
   /**
    * Создает объект события
    */
@@ -610,6 +953,14 @@ class MqttReceiver {
     return {
       rxSnr: meshPacket.rxSnr,
       hopLimit: meshPacket.hopLimit,
+      // hop_start - hop_limit = пройденные хопы (0 у прошивок до 2.3)
+      hopStart: meshPacket.hopStart,
+      // Последний байт ID ноды, ретранслировавшей пакет шлюзу
+      relayNode: meshPacket.relayNode,
+      nextHop: meshPacket.nextHop,
+      viaMqtt: meshPacket.viaMqtt,
+      priority: meshPacket.priority,
+      channel: meshPacket.channel,
       wantAck: meshPacket.wantAck,
       rxRssi: meshPacket.rxRssi,
       gatewayId,
@@ -650,18 +1001,65 @@ class MqttReceiver {
       case 70:
       case "TRACEROUTE_APP":
         return "traceroute";
+      case 34:
+      case "PAXCOUNTER_APP":
+        return "paxcounter";
+      case 37:
+      case "RANGE_TEST_APP":
+        return "rangeTest";
+      case 36:
+      case 65:
+      case "STORE_FORWARD_APP":
+        return "storeForward";
+      case 10:
+      case "DETECTION_SENSOR_APP":
+        return "detectionSensor";
+      case 72:
+      case "ATAK_PLUGIN":
+        return "atak";
+      case 5:
+      case "ROUTING_APP":
+        return "routing";
       default:
         return null;
     }
   }
 
   /**
-   * Основная функция обработки событий (добавляет в очередь)
+   * Политика для пакетов, ретранслированных через MQTT:
+   * ignore - отбрасывать, tag - сохранять с пометкой, accept - как обычные
+   * @param {Object} server - Объект сервера
+   * @returns {string} - ignore | tag | accept
+   */
+  getMqttRelayedPolicy(server) {
+    return server.mqttRelayed || mqttReceiverConfig.mqttRelayed || "tag";
+  }
+
+  /**
+   * Пакет пришел шлюзу не по радио: via_mqtt или сервер - мост чужих брокеров
+   * @param {Object} server - Объект сервера
+   * @param {Object} event - Событие
+   */
+  isMqttRelayed(server, event) {
+    return Boolean(event.viaMqtt || server.bridged);
+  }
+
+  /**
+   * Основная функция обработки событий (дедупликация, затем очередь)
    */
   async processEvent(server, fullTopic, user, eventName, eventType, event) {
-    // Добавляем сообщение в очередь для асинхронной обработки
     try {
-      await this.messageQueue.enqueue("default", {
+      if (this.isMqttRelayed(server, event)) {
+        const policy = this.getMqttRelayedPolicy(server);
+        if (policy === "ignore") {
+          return;
+        }
+        if (policy === "tag") {
+          event.mqttRelayed = true;
+        }
+      }
+
+      await this.deduplicator.accept({
         server,
         fullTopic,
         user,
@@ -670,6 +1068,38 @@ class MqttReceiver {
         event,
       });
     } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка дедупликации пакета:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Добавляет уникальный пакет в очередь для асинхронной обработки
+   */
+  async enqueueEvent(item) {
+    try {
+      // Лимит считается по уникальным пакетам, копии от шлюзов уже склеены
+      if (!this.rateLimiter.allow(item.event)) {
+        item.throttled = true;
+        return;
+      }
+
+      if (this.durableQueue.enabled) {
+        await this.durableQueue.append(item);
+        return;
+      }
+
+      const portnumName = getPortnumName(item.event?.data?.portnum);
+      await this.messageQueue.enqueue("default", item, {
+        priority: this.queuePriorities[portnumName],
+      });
+    } catch (error) {
+      // Отброшенные при переполнении сообщения учитываются в статистике очереди
+      if (error.code === "QUEUE_DROPPED") {
+        return;
+      }
       console.error(
         "❌ [MQTT-Receiver] Ошибка добавления в очередь:",
         error.message
@@ -677,8 +1107,50 @@ class MqttReceiver {
     }
   }
 
+  /**
+   * Обрабатывает событие, прочитанное из Redis Stream
+   * @param {Object} item - Десериализованное событие (server - имя сервера)
+   */
+  async processDurableItem(item) {
+    const server = this.mqttManager.getServer(item.server) || {
+      name: item.server,
+    };
+    const portnumName = getPortnumName(item.event?.data?.portnum);
+
+    await this.messageQueue.enqueue(
+      "durable",
+      { ...item, server },
+      { priority: this.queuePriorities[portnumName] }
+    );
+  }
+
+  /**
+   * Логирует включение/снятие backpressure очереди
+   * @param {boolean} active - Очередь заполнена выше верхнего порога
+   * @param {Object} stats - Статистика очереди
+   */
+  handleQueueBackpressure(active, stats) {
+    const lanes = Object.entries(stats.lanes)
+      .map(
+        ([lane, laneStats]) =>
+          `${lane}: ${laneStats.length} (~${laneStats.avgLatencyMs}ms, отброшено ${laneStats.dropped})`
+      )
+      .join(", ");
+
+    if (active) {
+      console.log(
+        `⚠️ [MQTT-Receiver] Очередь переполняется: ${stats.queueLength}/${stats.maxLength}, политика ${stats.dropPolicy}. ${lanes}`
+      );
+    } else {
+      console.log(
+        `✅ [MQTT-Receiver] Очередь разгружена: ${stats.queueLength}/${stats.maxLength}, всего отброшено ${stats.dropped}. ${lanes}`
+      );
+    }
+  }
+
   /**
    * Внутренняя функция обработки событий (вызывается из очереди)
+   * @param {Object} options - { throwOnError } - пробросить ошибку (для повтора из Redis Stream)
    */
   async processEventInternal(
     server,
@@ -686,7 +1158,8 @@ class MqttReceiver {
     user,
     eventName,
     eventType,
-    event
+    event,
+    options = {}
   ) {
     try {
       const { from } = event;
@@ -694,21 +1167,40 @@ class MqttReceiver {
         return;
       }
 
+      const receptions = event.receptions || [
+        {
+          gatewayId: event.gatewayId,
+          rxRssi: event.rxRssi,
+          rxSnr: event.rxSnr,
+          hopLimit: event.hopLimit,
+          hopStart: event.hopStart,
+          relayNode: event.relayNode,
+          viaMqtt: event.viaMqtt,
+          mqttRelayed: event.mqttRelayed,
+          server: server.name,
+          topic: fullTopic,
+        },
+      ];
+      // Шлюз, услышавший пакет по радио (null - пакет виден только через MQTT)
+      const rfReception =
+        receptions.find((reception) => !reception.mqttRelayed) || null;
+
       // Обновляем время последней активности для карты
-      await this.updateDotActivityTime(from, event, server);
+      await this.updateDotActivityTime(from, rfReception, event);
 
       let dataToSave = event.data;
 
       // Сохраняем все расшифрованные сообщения по portnum
       if (event.data?.portnum) {
-        // Декодируем payload если он есть
-        if (event.data.payload) {
+        // Декодируем payload если он есть (JSON uplink приходит уже декодированным)
+        if (event.data.payload || event.decodedPayload) {
           try {
-            const payloadBuffer = Buffer.from(event.data.payload, "base64");
-            const decodedPayload = this.protobufDecoder.decodePayload(
-              event.data.portnum,
-              payloadBuffer
-            );
+            const decodedPayload = event.decodedPayload
+              ? { data: event.decodedPayload }
+              : this.protobufDecoder.decodePayload(
+                  event.data.portnum,
+                  Buffer.from(event.data.payload, "base64")
+                );
 
             dataToSave = {
               portnum: event.data.portnum,
@@ -721,8 +1213,9 @@ class MqttReceiver {
               event.from,
               decodedPayload.data,
               {
-                gatewayId: event.gatewayId,
+                gatewayId: rfReception?.gatewayId || event.gatewayId,
                 rawDataId: decodedPayload.data.id,
+                mqttRelayed: !rfReception,
               }
             );
           } catch (error) {
@@ -735,21 +1228,76 @@ class MqttReceiver {
 
         const portnumData = {
           timestamp: Date.now(),
+          id: event.id,
           from: event.from,
           to: event.packet?.to,
           rxTime: event.packet?.rxTime * 1000 || Date.now(),
           rxSnr: event.rxSnr,
           hopLimit: event.hopLimit,
+          hopStart: event.hopStart,
+          relayNode: event.relayNode,
+          nextHop: event.nextHop,
+          viaMqtt: event.viaMqtt,
+          priority: event.priority,
+          channel: event.channel,
           rxRssi: event.rxRssi,
           gatewayId: event.gatewayId,
           server: server.name,
           rawData: dataToSave,
+          // Все шлюзы/брокеры, принявшие пакет в окне дедупликации
+          ...(event.receptions && { receptions: event.receptions }),
+          // Личное сообщение, расшифрованное PKI ключом нашей ноды
+          ...(event.pki && { pki: true }),
+          // Пакет получен через JSON uplink шлюза
+          ...(event.json && { json: true }),
+          // Ни один шлюз не услышал пакет по радио (политика tag)
+          ...(!rfReception && { mqttRelayed: true }),
         };
 
         await this.redisManager.savePortnumMessage(
           event.data.portnum,
           event.from,
-          portnumData
+          portnumData,
+          { skipDuplicateCheck: Boolean(event.receptions) }
+        );
+
+        // GeoChat из ATAK доступен через endpoints текстовых сообщений
+        if (eventType === "atak" && dataToSave.chat?.message) {
+          await this.redisManager.savePortnumMessage(
+            1,
+            event.from,
+            {
+              ...portnumData,
+              rawData: {
+                portnum: 1,
+                text: dataToSave.chat.message,
+                atak: {
+                  callsign: dataToSave.contact?.callsign,
+                  toCallsign: dataToSave.chat.toCallsign,
+                },
+              },
+            },
+            { skipDuplicateCheck: Boolean(event.receptions) }
+          );
+        }
+      }
+
+      // Каждый прием Range Test - отдельная точка карты покрытия
+      if (eventType === "rangeTest") {
+        await this.saveRangeTestPoints(event, dataToSave, receptions);
+      }
+
+      // ACK/NAK сопоставляются с отправленными текстовыми сообщениями
+      if (eventType === "routing") {
+        await this.handleRoutingPacket(event, dataToSave);
+      }
+
+      // Срабатывание датчика отправляется в чат, настроенный для этой ноды
+      if (eventType === "detectionSensor" && botSettings.ENABLE) {
+        await handleDetectionSensorAlert(
+          this.redisManager,
+          event,
+          dataToSave?.text
         );
       }
 
@@ -759,33 +1307,221 @@ class MqttReceiver {
         event.data?.portnum === 1 &&
         botSettings.ENABLE
       ) {
-        // Создаем событие в формате, ожидаемом handleTelegramMessage
-        const telegramEvent = {
-          id: event.id,
-          from: event.from,
-          to: event.to, // Добавляем поле to
-          gatewayId: event.gatewayId,
-          rxRssi: event.rxRssi,
-          rxSnr: event.rxSnr,
-          hopLimit: event.hopLimit,
-          type: "broadcast", // Устанавливаем тип как broadcast для текстовых сообщений
-          data: dataToSave?.text || dataToSave, // Текст сообщения
-          text:
-            dataToSave?.text ||
-            (typeof dataToSave === "string" ? dataToSave : "N/A"),
-        };
+        // Каждый прием отправляем отдельно, чтобы бот сгруппировал шлюзы
+        for (const reception of receptions) {
+          await this.sendTelegramReception(event, dataToSave, reception);
+        }
+      }
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка обработки события:",
+        error.message
+      );
+      if (options.throwOnError) {
+        throw error;
+      }
+    }
+  }
 
-        // Вызываем обработчик Telegram сообщений
-        await handleTelegramMessage(
-          this.redisManager,
-          server,
-          fullTopic,
-          telegramEvent
+  /**
+   * Передает прием текстового сообщения в Telegram
+   * @param {Object} event - Событие
+   * @param {Object|string} dataToSave - Декодированные данные сообщения
+   * @param {Object} reception - Прием конкретным шлюзом
+   */
+  async sendTelegramReception(event, dataToSave, reception) {
+    const server = this.mqttManager.getServer(reception.server) || {
+      name: reception.server,
+    };
+
+    // Создаем событие в формате, ожидаемом handleTelegramMessage
+    const telegramEvent = {
+      id: event.id,
+      from: event.from,
+      to: event.to, // Добавляем поле to
+      gatewayId: reception.gatewayId,
+      rxRssi: reception.rxRssi,
+      rxSnr: reception.rxSnr,
+      hopLimit: reception.hopLimit,
+      hopStart: reception.hopStart,
+      viaMqtt: reception.viaMqtt,
+      type: "broadcast", // Устанавливаем тип как broadcast для текстовых сообщений
+      data: dataToSave?.text || dataToSave, // Текст сообщения
+      text:
+        dataToSave?.text ||
+        (typeof dataToSave === "string" ? dataToSave : "N/A"),
+    };
+
+    // Вызываем обработчик Telegram сообщений
+    await handleTelegramMessage(
+      this.redisManager,
+      server,
+      reception.topic,
+      telegramEvent
+    );
+  }
+
+  /**
+   * Обрабатывает копию пакета, пришедшую после окна сбора
+   * или уже обработанную другим экземпляром receiver'а
+   */
+  async handleLateReception(item, reception) {
+    const { eventType, event } = item;
+
+    try {
+      await this.redisManager.savePacketReception(
+        event.from,
+        event.id,
+        reception
+      );
+
+      // Поздняя копия могла быть услышана по радио, в отличие от первой
+      if (!reception.mqttRelayed) {
+        await this.updateDotActivityTime(event.from, reception, event);
+      }
+
+      if (eventType === "rangeTest" && event.data?.payload) {
+        const decodedPayload = this.protobufDecoder.decodePayload(
+          event.data.portnum,
+          Buffer.from(event.data.payload, "base64")
+        );
+        await this.saveRangeTestPoints(event, decodedPayload.data, [
+          reception,
+        ]);
+      }
+
+      // Поздний шлюз тоже попадает в группировку сообщения в Telegram
+      if (
+        eventType === "message" &&
+        event.data?.portnum === 1 &&
+        event.data.payload &&
+        botSettings.ENABLE
+      ) {
+        const decodedPayload = this.protobufDecoder.decodePayload(
+          event.data.portnum,
+          Buffer.from(event.data.payload, "base64")
+        );
+        await this.sendTelegramReception(
+          event,
+          decodedPayload.data,
+          reception
         );
       }
     } catch (error) {
       console.error(
-        "❌ [MQTT-Receiver] Ошибка обработки события:",
+        "❌ [MQTT-Receiver] Ошибка сохранения позднего приема:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Обрабатывает Routing пакет: ACK/NAK на текстовое сообщение
+   * и счетчики ошибок маршрутизации ноды, которая сообщила об ошибке
+   * @param {Object} event - Событие Routing
+   * @param {Object} routing - Декодированный payload { variant, errorReason }
+   */
+  async handleRoutingPacket(event, routing) {
+    try {
+      if (routing?.variant !== "errorReason") {
+        return;
+      }
+
+      if (routing.errorReason !== "NONE") {
+        await this.redisManager.incrementRoutingError(
+          event.from,
+          routing.errorReason
+        );
+      }
+
+      // request_id - ID исходного пакета, ответ идет его отправителю (event.to)
+      const requestId = event.data?.requestId ?? event.data?.request_id;
+      if (!requestId || !event.to) {
+        return;
+      }
+
+      const sentMessages = await this.redisManager.getPortnumMessages(
+        "TEXT_MESSAGE_APP",
+        event.to,
+        ROUTING_ACK_LOOKUP_LIMIT
+      );
+      if (!sentMessages.some((message) => message.id === requestId)) {
+        return;
+      }
+
+      await this.redisManager.saveMessageAck(requestId, {
+        timestamp: Date.now(),
+        from: event.from,
+        to: event.to,
+        acknowledged: routing.errorReason === "NONE",
+        errorReason: routing.errorReason,
+        gatewayId: event.gatewayId,
+        rxRssi: event.rxRssi,
+        rxSnr: event.rxSnr,
+      });
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка обработки Routing пакета:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Сохраняет точки теста дальности: позиция отправителя на момент приема,
+   * позиция шлюза, сигнал и расстояние между ними
+   * @param {Object} event - Событие Range Test
+   * @param {Object} rangeTest - Декодированный payload { text, seq }
+   * @param {Array} receptions - Приемы пакета шлюзами
+   */
+  async saveRangeTestPoints(event, rangeTest, receptions) {
+    try {
+      const toPosition = (dot) =>
+        dot?.latitude && dot?.longitude
+          ? { latitude: dot.latitude, longitude: dot.longitude }
+          : null;
+
+      const sender = toPosition(await this.redisManager.getDotData(event.from));
+
+      for (const reception of receptions) {
+        const gatewayNumericId = reception.gatewayId?.startsWith("!")
+          ? parseInt(reception.gatewayId.substring(1), 16)
+          : null;
+        const receiver = gatewayNumericId
+          ? toPosition(await this.redisManager.getDotData(gatewayNumericId))
+          : null;
+
+        await this.redisManager.saveRangeTestPoint(event.from, {
+          timestamp: Date.now(),
+          from: event.from,
+          packetId: event.id,
+          seq: rangeTest?.seq ?? null,
+          text: rangeTest?.text,
+          sender,
+          gatewayId: reception.gatewayId,
+          receiver,
+          rxRssi: reception.rxRssi,
+          rxSnr: reception.rxSnr,
+          hopLimit: reception.hopLimit,
+          hopStart: reception.hopStart,
+          hops: getHopsTravelled(reception.hopStart, reception.hopLimit),
+          server: reception.server,
+          distance:
+            sender && receiver
+              ? Math.round(
+                  calculateDistance(
+                    sender.latitude,
+                    sender.longitude,
+                    receiver.latitude,
+                    receiver.longitude
+                  )
+                )
+              : null,
+        });
+      }
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка сохранения точки Range Test:",
         error.message
       );
     }
@@ -811,6 +1547,11 @@ class MqttReceiver {
         const validShortName =
           shortName && isValidUserNameOptimized(shortName) ? shortName : "";
 
+        // Публичный ключ нужен для расшифровки PKI сообщений от этой ноды
+        if (decodedData.public_key) {
+          await this.pkiKeys.rememberPeerKey(deviceId, decodedData.public_key);
+        }
+
         if (validLongName || validShortName) {
           await this.redisManager.updateDotData(
             deviceId,
@@ -839,6 +1580,40 @@ class MqttReceiver {
             additionalInfo
           );
         }
+      } else if (portnum === 72 || portnum === "ATAK_PLUGIN") {
+        // TAK пользователь: позиция из PLI, позывной вместо имени
+        const update = {};
+        const { pli, contact } = decodedData;
+
+        if (pli?.latitude_i && pli?.longitude_i) {
+          update.latitude = pli.latitude_i / 1e7;
+          update.longitude = pli.longitude_i / 1e7;
+        }
+        if (contact?.callsign && isValidUserNameOptimized(contact.callsign)) {
+          update.longName = contact.callsign;
+        }
+
+        if (Object.keys(update).length > 0) {
+          await this.redisManager.updateDotData(
+            deviceId,
+            update,
+            additionalInfo
+          );
+        }
+      } else if (
+        portnum === 36 ||
+        portnum === 65 ||
+        portnum === "STORE_FORWARD_APP"
+      ) {
+        // Роутер Store & Forward отмечается на карте, его статистика хранится отдельно
+        if (decodedData.fromRouter) {
+          await this.redisManager.updateDotData(
+            deviceId,
+            { storeForward: true },
+            additionalInfo
+          );
+          await this.redisManager.saveStoreForwardRouter(deviceId, decodedData);
+        }
       }
     } catch (error) {
       const portnumName = this.getPortnumName(portnum);
@@ -851,10 +1626,20 @@ class MqttReceiver {
 
   /**
    * Обновляет время активности для карты
+   * @param {number} from - ID ноды
+   * @param {Object|null} rfReception - Прием шлюзом по радио (null - только MQTT)
+   * @param {Object} event - Событие
    */
-  async updateDotActivityTime(from, event, server) {
+  async updateDotActivityTime(from, rfReception, event) {
     try {
-      await this.redisManager.updateDotData(from, {});
+      await this.redisManager.updateDotData(
+        from,
+        {},
+        {
+          gatewayId: rfReception?.gatewayId || event.gatewayId,
+          mqttRelayed: !rfReception,
+        }
+      );
     } catch (error) {
       console.error(
         "[MQTT-Receiver] Error updating dot activity time:",
@@ -864,9 +1649,11 @@ class MqttReceiver {
   }
 
   /**
-   * Расшифровывает пакет
+   * Расшифровывает пакет ключом канала, выбранным по хэшу MeshPacket.channel
+   * @param {Object} packet - MeshPacket
+   * @param {string} channelName - Имя канала из топика/ServiceEnvelope
    */
-  decrypt(packet) {
+  decrypt(packet, channelName) {
     if (!packet?.encrypted || !packet.id || !packet.from) {
       return null;
     }
@@ -875,58 +1662,33 @@ class MqttReceiver {
       return null;
     }
 
-    for (const decryptionKey of DECRYPTION_KEYS) {
-      try {
-        const key = Buffer.from(decryptionKey, "base64");
-        const nonceBuffer = this.createNonce(packet.id, packet.from);
-
-        let algorithm = null;
-        if (key.length === 16) {
-          algorithm = "aes-128-ctr";
-        } else if (key.length === 32) {
-          algorithm = "aes-256-ctr";
-        } else {
-          continue;
-        }
-
-        const decipher = crypto.createDecipheriv(algorithm, key, nonceBuffer);
-        const decryptedBuffer = Buffer.concat([
-          decipher.update(packet.encrypted),
-          decipher.final(),
-        ]);
+    const candidates = this.channelKeys.getCandidates(
+      packet.channel,
+      channelName
+    );
 
-        if (decryptedBuffer.length === 0 || decryptedBuffer.length > 65536) {
-          continue;
-        }
+    for (const candidate of candidates) {
+      try {
+        // Для канала без шифрования payload возвращается как есть
+        const decryptedBuffer = applyChannelCipher(
+          candidate.key,
+          packet.id,
+          packet.from,
+          packet.encrypted
+        );
 
-        try {
-          return this.protoTypes.Data.decode(decryptedBuffer);
-        } catch (decodeError) {
-          continue;
-        }
+        const data = this.protoTypes.Data.decode(decryptedBuffer);
+        this.channelKeys.recordResult(candidate, true);
+        return data;
       } catch (e) {
-        // Пробуем следующий ключ
+        // Коллизия хэша канала - пробуем следующий ключ
+        this.channelKeys.recordResult(candidate, false);
       }
     }
 
     return null;
   }
 
-  /**
-   * Создает nonce для расшифровки
-   */
-  createNonce(packetId, fromNode) {
-    const packetId64 = BigInt(packetId);
-    const blockCounter = 0;
-    const buf = Buffer.alloc(16);
-
-    buf.writeBigUInt64LE(packetId64, 0);
-    buf.writeUInt32LE(fromNode, 8);
-    buf.writeUInt32LE(blockCounter, 12);
-
-    return buf;
-  }
-
   /**
    * Получает название portnum по номеру
    */
@@ -948,11 +1710,27 @@ class MqttReceiver {
         );
       }
 
+      this.serverWatcher.stop();
+      this.downlink.stop();
+      await this.capture.stop();
+
+      // Передаем в очередь пакеты, ожидающие окончания окна сбора
+      await this.deduplicator.stop();
+
+      // Сохраняем счетчики отброшенных rate limiter'ом пакетов
+      await this.rateLimiter.stop();
+
+      // Прекращаем чтение Redis Stream, неподтвержденные события останутся в потоке
+      await this.durableQueue.stop();
+
       // Ожидаем завершения обработки всех сообщений в очереди
       await this.messageQueue.drain();
 
       await this.mqttManager.disconnect();
 
+      // Сохраняем статистику расшифровки
+      await this.channelKeys.stop();
+
       if (this.redisManager) {
         await this.redisManager.disconnect();
       }
@@ -975,7 +1753,10 @@ async function main() {
 
   console.log(`📡 Подключение к ${servers.length} серверам:`);
   servers.forEach((server) => {
-    console.log(`  🌐 ${server.name} (${server.address})`);
+    const secure = /^(mqtts|wss):/.test(server.address) || server.tls;
+    console.log(
+      `  ${secure ? "🔒" : "🌐"} ${server.name} (${maskCredentials(server.address)})`
+    );
   });
 
   const receiver = new MqttReceiver();
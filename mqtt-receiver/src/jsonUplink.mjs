@@ -0,0 +1,206 @@
+/**
+ * Нормализация JSON uplink Meshtastic (топик msh/.../2/json/<канал>/<шлюз>)
+ * в ту же модель события, что и у декодированных protobuf пакетов
+ *
+ * Формат прошивки: { type, payload, from, to, id, channel, sender,
+ * rssi, snr, hop_start, hops_away, timestamp }
+ */
+
+/**
+ * Оставляет только заданные поля объекта (без undefined)
+ * @param {Object} source - Исходный объект
+ * @param {Object} fields - Соответствие { поле результата: поле источника }
+ * @returns {Object} - Новый объект
+ */
+const pickFields = (source, fields) =>
+  Object.fromEntries(
+    Object.entries(fields)
+      .map(([target, key]) => [target, source[key]])
+      .filter(([, value]) => value !== undefined)
+  );
+
+// Характерные поля вариантов телеметрии (JSON не содержит имени варианта).
+// LocalStats и HostMetrics проверяются раньше DeviceMetrics: у них общее uptime_seconds
+const TELEMETRY_VARIANT_FIELDS = [
+  {
+    type: "localStats",
+    fields: ["num_packets_tx", "num_packets_rx", "num_online_nodes"],
+  },
+  {
+    type: "hostMetrics",
+    fields: ["freemem_bytes", "load1", "diskfree1_bytes"],
+  },
+  {
+    type: "deviceMetrics",
+    fields: [
+      "battery_level",
+      "channel_utilization",
+      "air_util_tx",
+      "uptime_seconds",
+    ],
+  },
+  {
+    type: "powerMetrics",
+    fields: ["ch1_voltage", "ch1_current", "ch2_voltage", "ch3_voltage"],
+  },
+  {
+    type: "airQualityMetrics",
+    fields: ["pm10_standard", "pm25_standard", "pm100_standard", "co2"],
+  },
+  { type: "healthMetrics", fields: ["heart_bpm", "spO2"] },
+];
+
+/**
+ * Преобразователи payload по полю type. Результат совпадает с тем,
+ * что возвращает ProtobufDecoder.decodePayload для того же portnum
+ */
+const JSON_UPLINK_TYPES = {
+  text: {
+    portnum: 1,
+    normalize: (payload) => ({
+      text: typeof payload === "string" ? payload : payload.text || "",
+    }),
+  },
+  position: {
+    portnum: 3,
+    normalize: (payload) =>
+      pickFields(payload, {
+        latitude_i: "latitude_i",
+        longitude_i: "longitude_i",
+        altitude: "altitude",
+        time: "time",
+        precision_bits: "precision_bits",
+        PDOP: "PDOP",
+        ground_speed: "ground_speed",
+        ground_track: "ground_track",
+        sats_in_view: "sats_in_view",
+      }),
+  },
+  nodeinfo: {
+    portnum: 4,
+    normalize: (payload) =>
+      pickFields(payload, {
+        id: "id",
+        long_name: "longname",
+        short_name: "shortname",
+        hw_model: "hardware",
+        role: "role",
+      }),
+  },
+  telemetry: {
+    portnum: 67,
+    normalize: (payload) => {
+      const variant = TELEMETRY_VARIANT_FIELDS.find(({ fields }) =>
+        fields.some((field) => payload[field] !== undefined)
+      );
+      return {
+        type: variant ? variant.type : "environmentMetrics",
+        variant: { value: { ...payload } },
+      };
+    },
+  },
+  waypoint: {
+    portnum: 8,
+    normalize: (payload) =>
+      pickFields(payload, {
+        id: "id",
+        name: "name",
+        description: "description",
+        expire: "expire",
+        locked_to: "locked_to",
+        latitude_i: "latitude_i",
+        longitude_i: "longitude_i",
+      }),
+  },
+  neighborinfo: {
+    portnum: 71,
+    normalize: (payload) => ({
+      nodeId: payload.node_id,
+      lastSentById: payload.last_sent_by_id,
+      nodeBroadcastIntervalSecs: payload.node_broadcast_interval_secs,
+      neighbors: Array.isArray(payload.neighbors)
+        ? payload.neighbors.map((neighbor) => ({
+            nodeId: neighbor.node_id,
+            snr: neighbor.snr,
+          }))
+        : [],
+    }),
+  },
+  detection: {
+    portnum: 10,
+    normalize: (payload) => ({
+      text: typeof payload === "string" ? payload : payload.text || "",
+    }),
+  },
+  paxcounter: {
+    portnum: 34,
+    normalize: (payload) => ({
+      wifi: payload.wifi_count || 0,
+      ble: payload.ble_count || 0,
+      uptime: payload.uptime || 0,
+    }),
+  },
+  traceroute: {
+    portnum: 70,
+    normalize: (payload) =>
+      pickFields(payload, {
+        route: "route",
+        snr_towards: "snr_towards",
+        route_back: "route_back",
+        snr_back: "snr_back",
+      }),
+  },
+};
+
+/**
+ * Нормализует JSON uplink сообщение
+ * @param {Object} jsonData - Распарсенный JSON
+ * @param {string} gatewayId - Шлюз из топика (если в JSON нет sender)
+ * @returns {Object|null} - { portnum, event } или null для неподдерживаемых сообщений
+ */
+export const normalizeJsonUplink = (jsonData, gatewayId) => {
+  const handler = JSON_UPLINK_TYPES[jsonData?.type];
+  if (!handler || !jsonData.from || jsonData.payload == null) {
+    return null;
+  }
+
+  // hop_limit в JSON не передается, восстанавливаем из hop_start и hops_away
+  const hopLimit =
+    Number.isInteger(jsonData.hop_start) && Number.isInteger(jsonData.hops_away)
+      ? jsonData.hop_start - jsonData.hops_away
+      : undefined;
+
+  const packet = {
+    from: jsonData.from,
+    to: jsonData.to,
+    id: jsonData.id,
+    channel: jsonData.channel,
+    rxTime: jsonData.timestamp,
+    rxSnr: jsonData.snr,
+    rxRssi: jsonData.rssi,
+    hopLimit,
+    hopStart: jsonData.hop_start,
+  };
+
+  return {
+    portnum: handler.portnum,
+    event: {
+      rxSnr: packet.rxSnr,
+      hopLimit,
+      hopStart: packet.hopStart,
+      rxRssi: packet.rxRssi,
+      gatewayId: jsonData.sender || gatewayId,
+      from: packet.from,
+      to: packet.to,
+      id: packet.id,
+      channel: packet.channel,
+      data: { portnum: handler.portnum },
+      // Payload уже декодирован прошивкой, protobuf декодер не нужен
+      decodedPayload: handler.normalize(jsonData.payload),
+      packet,
+      json: true,
+    },
+  };
+};
+
+export default normalizeJsonUplink;
@@ -1,8 +1,20 @@
+import crypto from 'crypto';
+
 /**
  * Парсер для декодирования raw данных из MeshCore пакетов
  * Формат отличается от protobuf Meshtastic
  */
 
+// Общеизвестный ключ публичного канала MeshCore (Public)
+export const MESHCORE_PUBLIC_CHANNEL_KEY = '8b3387e9c5cdea6ac9e5edbaa115cd72';
+
+// Типы текста в флагах GRP_TXT/TXT_MSG (старшие 6 бит)
+const TEXT_TYPES = {
+  0x00: 'PLAIN',
+  0x01: 'CLI_DATA',
+  0x02: 'SIGNED_PLAIN'
+};
+
 /**
  * Декодирует raw пакет MeshCore из hex строки
  * @param {string} rawHex - Hex строка пакета
@@ -266,6 +278,108 @@ export function decodeAdvertPacket(rawHex) {
   }
 }
 
+/**
+ * Создает описание канала MeshCore для расшифровки GRP_TXT
+ * @param {string} name - Имя канала ("Public", "#test", ...)
+ * @param {string} secretHex - Секрет канала (16 байт hex). Для хэштег-каналов
+ * без секрета ключ выводится из имени: sha256("#имя")[0:16]
+ * @returns {Object|null} - { name, key, hash } или null, если ключ не задан
+ */
+export function createMeshcoreChannel(name, secretHex = null) {
+  let key = null;
+  if (secretHex) {
+    key = Buffer.from(secretHex, 'hex');
+  } else if (name && name.startsWith('#')) {
+    key = crypto.createHash('sha256').update(name).digest().subarray(0, 16);
+  }
+
+  if (!key || key.length !== 16) {
+    console.log(`⚠️ [MeshCore] Канал ${name}: нужен секрет 16 байт hex или имя #хэштег`);
+    return null;
+  }
+
+  // Хэш канала в пакете - первый байт sha256 от секрета
+  const hash = crypto.createHash('sha256').update(key).digest()[0];
+  return { name, key, hash };
+}
+
+/**
+ * Вычисляет хэш пакета как прошивка MeshCore: sha256(тип + payload)[0:8].
+ * Не зависит от пути, поэтому одинаков для копий от разных шлюзов
+ * @param {Object} decoded - Результат decodeMeshcoreRaw
+ * @returns {string} - Хэш пакета (hex)
+ */
+export function getMeshcorePacketHash(decoded) {
+  return crypto
+    .createHash('sha256')
+    .update(Buffer.from([decoded.header.payloadTypeValue]))
+    .update(decoded.payload.bytes)
+    .digest()
+    .subarray(0, 8)
+    .toString('hex')
+    .toUpperCase();
+}
+
+/**
+ * Расшифровывает полезную нагрузку GRP_TXT пакета.
+ * Формат: channel_hash (1) + MAC (2, HMAC-SHA256) + шифротекст (AES-128-ECB)
+ * @param {Buffer} payloadBytes - Байты полезной нагрузки
+ * @param {Array} channels - Каналы из createMeshcoreChannel
+ * @returns {Object|null} - Сообщение или null, если ни один ключ не подошел
+ */
+export function decryptGroupTextPayload(payloadBytes, channels) {
+  try {
+    const cipherText = payloadBytes.subarray(3);
+    if (cipherText.length === 0 || cipherText.length % 16 !== 0) {
+      console.log(`⚠️ [MeshCore] GRP_TXT некорректной длины: ${payloadBytes.length} байт`);
+      return null;
+    }
+
+    const channelHash = payloadBytes[0];
+    const mac = payloadBytes.subarray(1, 3);
+
+    // Хэш канала 1 байт - совпасть может несколько каналов, проверяем MAC
+    const channel = channels.find(
+      (candidate) =>
+        candidate.hash === channelHash &&
+        crypto
+          .createHmac('sha256', candidate.key)
+          .update(cipherText)
+          .digest()
+          .subarray(0, 2)
+          .equals(mac)
+    );
+    if (!channel) {
+      return null;
+    }
+
+    const decipher = crypto.createDecipheriv('aes-128-ecb', channel.key, null);
+    decipher.setAutoPadding(false);
+    const plain = Buffer.concat([decipher.update(cipherText), decipher.final()]);
+
+    // timestamp (4, LE) + flags (1) + "отправитель: текст", дополнено нулями
+    const flags = plain[4];
+    const textEnd = plain.indexOf(0, 5);
+    const content = plain
+      .subarray(5, textEnd === -1 ? plain.length : textEnd)
+      .toString('utf-8');
+    const separator = content.indexOf(': ');
+
+    return {
+      channel: channel.name,
+      channelHash: channelHash.toString(16).padStart(2, '0').toUpperCase(),
+      timestamp: plain.readUInt32LE(0),
+      textType: TEXT_TYPES[flags >> 2] || `Type${flags >> 2}`,
+      attempt: flags & 0x03,
+      sender: separator === -1 ? null : content.slice(0, separator),
+      text: separator === -1 ? content : content.slice(separator + 2)
+    };
+  } catch (error) {
+    console.log(`⚠️ [MeshCore] Ошибка расшифровки GRP_TXT: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Функция округления
  */
@@ -1,19 +1,78 @@
+import fs from "fs";
 import mqtt from "mqtt";
-import { shouldLogError, CONSTANTS } from "./utils.mjs";
+import {
+  shouldLogError,
+  matchesTopicFilter,
+  maskCredentials,
+  CONSTANTS,
+} from "./utils.mjs";
 
 const { RECONNECT_DELAY } = CONSTANTS;
 
+/**
+ * Настройки переподключения по умолчанию: экспоненциальная задержка с
+ * джиттером. После maxAttempts неудачных попыток подряд сервер переходит в
+ * состояние disabled и пробует снова раз в disabledCooldown
+ */
+const DEFAULT_RECONNECT = {
+  initialDelay: 5000,
+  maxDelay: RECONNECT_DELAY * 10, // 5 минут
+  multiplier: 2,
+  jitter: 0.3, // ±30%
+  maxAttempts: 10,
+  disabledCooldown: 30 * 60 * 1000, // 30 минут
+};
+
+/**
+ * Сторожевой таймер: переподключает сервер, который числится подключенным,
+ * но не присылал сообщений дольше idleTimeout (server.idleTimeout перекрывает)
+ */
+const DEFAULT_WATCHDOG = {
+  idleTimeout: 10 * 60 * 1000, // 10 минут, 0 - отключено
+  checkInterval: 60000,
+};
+
+/**
+ * Топики по умолчанию для серверов без собственного списка topics.include
+ */
+const DEFAULT_TOPICS = [
+  "msh/+/2/map/",
+  "msh/+/2/e/+/+",
+  "msh/+/2/json/+/+",
+  "msh/+/2/stat/+",
+  "msh/+/+/2/map/",
+  "msh/+/+/2/e/+/+",
+  "msh/+/+/2/json/+/+",
+  "msh/+/+/2/stat/+",
+  "msh/+/+/+/2/map/",
+  "msh/+/+/+/2/e/+/+",
+  "msh/+/+/+/2/json/+/+",
+  "msh/+/+/+/2/stat/+",
+  "msh/+/+/+/+/2/map/",
+  "msh/+/+/+/+/2/e/+/+",
+  "msh/+/+/+/+/2/json/+/+",
+  "msh/+/+/+/+/2/stat/+",
+  "meshcore/+/+/packets",
+];
+
 /**
  * Оптимизированный MQTT Manager с улучшенной обработкой подключений
  */
 export class MQTTManager {
-  constructor() {
+  /**
+   * @param {Object} options - Настройки
+   * @param {Object} options.reconnect - Переподключение (см. DEFAULT_RECONNECT)
+   * @param {Object} options.watchdog - Сторожевой таймер (см. DEFAULT_WATCHDOG)
+   */
+  constructor(options = {}) {
     this.connections = new Map();
     this.messageHandler = null;
-    this.reconnectDelay = RECONNECT_DELAY; // Используем константу из utils
+    this.reconnect = { ...DEFAULT_RECONNECT, ...options.reconnect };
+    this.watchdog = { ...DEFAULT_WATCHDOG, ...options.watchdog };
+    this.watchdogTimer = null;
+    this.shuttingDown = false;
     this.connectionTimeout = 30000;
     this.keepAliveInterval = 120;
-    this.maxReconnectAttempts = 20; // ~10 минут при задержке 30с
   }
 
   /**
@@ -33,6 +92,8 @@ export class MQTTManager {
       `🚀 [MQTT-Receiver] Подключение к ${servers.length} серверам...\n`
     );
 
+    this.startWatchdog();
+
     // Параллельно подключаемся ко всем серверам
     const connectionPromises = servers.map((server) =>
       this.connectToServer(server)
@@ -86,8 +147,16 @@ export class MQTTManager {
         server,
         client,
         isConnected: false,
+        state: "connecting", // connecting | connected | backing-off | disabled
         reconnectAttempts: 0,
-        topics: this.getTopicList(),
+        reconnectTimer: null,
+        nextRetryAt: null,
+        connectedAt: null,
+        lastMessageAt: null,
+        lastError: null,
+        watchdogReconnects: 0,
+        topics: this.getTopicList(server),
+        excludeTopics: this.getExcludedTopicList(server),
         clientId,
       };
 
@@ -135,9 +204,12 @@ export class MQTTManager {
    * @returns {Object} - MQTT клиент
    */
   createMqttClient(server, clientId) {
-    return mqtt.connect(server.address, {
+    const { address, options } = this.buildConnectionOptions(server);
+
+    return mqtt.connect(address, {
+      ...options,
       clientId,
-      reconnectPeriod: this.reconnectDelay,
+      reconnectPeriod: 0, // Переподключением управляет scheduleReconnect
       connectTimeout: this.connectionTimeout,
       keepalive: this.keepAliveInterval,
       clean: true,
@@ -153,21 +225,117 @@ export class MQTTManager {
   }
 
   /**
-   * Возвращает список топиков для подписки
+   * Собирает адрес и параметры подключения: учетные данные (username/password,
+   * *Env, *File), TLS (server.tls) и путь WebSocket (server.wsPath)
+   * @param {Object} server - Объект сервера
+   * @returns {Object} - { address, options }
+   */
+  buildConnectionOptions(server) {
+    let address = server.address;
+    const options = {};
+
+    const username = this.resolveSecret(server, "username");
+    const password = this.resolveSecret(server, "password");
+    if (username !== undefined) {
+      // Явные учетные данные важнее указанных в адресе
+      address = address.replace(/\/\/[^@/]+@/, "//");
+      options.username = username;
+      if (password !== undefined) {
+        options.password = password;
+      }
+    }
+
+    if (server.tls) {
+      const {
+        ca,
+        cert,
+        key,
+        passphrase,
+        passphraseEnv,
+        rejectUnauthorized,
+        servername,
+      } = server.tls;
+      const readFile = (filePath) => fs.readFileSync(filePath);
+
+      if (ca) {
+        options.ca = Array.isArray(ca) ? ca.map(readFile) : readFile(ca);
+      }
+      if (cert) {
+        options.cert = readFile(cert);
+      }
+      if (key) {
+        options.key = readFile(key);
+      }
+      if (passphrase || passphraseEnv) {
+        options.passphrase = passphraseEnv
+          ? process.env[passphraseEnv]
+          : passphrase;
+      }
+      if (servername) {
+        options.servername = servername;
+      }
+      // По умолчанию сертификат сервера проверяется
+      options.rejectUnauthorized = rejectUnauthorized !== false;
+    }
+
+    if (server.wsPath) {
+      options.path = server.wsPath;
+    }
+
+    return { address, options };
+  }
+
+  /**
+   * Читает секрет сервера: значение, переменная окружения (<field>Env)
+   * или файл (<field>File, например Docker secret)
+   * @param {Object} server - Объект сервера
+   * @param {string} field - username | password
+   * @returns {string|undefined}
+   */
+  resolveSecret(server, field) {
+    if (server[`${field}File`]) {
+      return fs.readFileSync(server[`${field}File`], "utf8").trim();
+    }
+    if (server[`${field}Env`]) {
+      return process.env[server[`${field}Env`]];
+    }
+    return server[field];
+  }
+
+  /**
+   * Возвращает список топиков для подписки (server.topics.include)
+   * @param {Object} server - Объект сервера
    * @returns {Array} - Массив топиков
    */
-  getTopicList() {
-    return [
-      "msh/+/2/map/",
-      "msh/+/2/e/+/+",
-      "msh/+/+/2/map/",
-      "msh/+/+/2/e/+/+",
-      "msh/+/+/+/2/map/",
-      "msh/+/+/+/2/e/+/+",
-      "msh/+/+/+/+/2/map/",
-      "msh/+/+/+/+/2/e/+/+",
-      "meshcore/+/+/packets",
-    ];
+  getTopicList(server) {
+    const include = server?.topics?.include;
+    return Array.isArray(include) && include.length > 0
+      ? [...include]
+      : [...DEFAULT_TOPICS];
+  }
+
+  /**
+   * Возвращает список исключаемых топиков (server.topics.exclude).
+   * MQTT не поддерживает исключения в подписке, поэтому такие сообщения
+   * отбрасываются при получении
+   * @param {Object} server - Объект сервера
+   * @returns {Array} - Массив MQTT фильтров
+   */
+  getExcludedTopicList(server) {
+    const exclude = server?.topics?.exclude;
+    return Array.isArray(exclude) ? [...exclude] : [];
+  }
+
+  /**
+   * Проверяет, исключен ли топик фильтрами сервера
+   * @param {Object} connectionInfo - Информация о подключении
+   * @param {string} topic - Топик сообщения
+   * @returns {boolean} - Исключен ли топик
+   */
+  isTopicExcluded(connectionInfo, topic) {
+    return connectionInfo.excludeTopics.some((filter) =>
+      matchesTopicFilter(filter, topic)
+    );
   }
 
   /**
@@ -182,7 +350,10 @@ export class MQTTManager {
     client.on("connect", () => {
       console.log(`✅ [MQTT-Receiver] [${server.name}] Подключен`);
       connectionInfo.isConnected = true;
+      connectionInfo.state = "connected";
       connectionInfo.reconnectAttempts = 0;
+      connectionInfo.nextRetryAt = null;
+      connectionInfo.connectedAt = Date.now();
 
       this.subscribeToTopics(
         client,
@@ -194,9 +365,16 @@ export class MQTTManager {
     });
 
     client.on("message", (topic, payload) => {
+      connectionInfo.lastMessageAt = Date.now();
+
+      if (this.isTopicExcluded(connectionInfo, topic)) {
+        return;
+      }
+
       if (this.messageHandler) {
         try {
-          this.messageHandler(server, topic, payload);
+          // Конфиг сервера может обновиться при перечитывании списка
+          this.messageHandler(connectionInfo.server, topic, payload);
         } catch (error) {
           if (shouldLogError(error.message)) {
             console.error(
@@ -216,6 +394,7 @@ export class MQTTManager {
         );
       }
       connectionInfo.isConnected = false;
+      connectionInfo.lastError = error.message;
 
       // Если это первое подключение, отклоняем промис
       if (connectionInfo.reconnectAttempts === 0) {
@@ -226,6 +405,7 @@ export class MQTTManager {
     client.on("close", () => {
       connectionInfo.isConnected = false;
       console.log(`🔌 [MQTT-Receiver] [${server.name}] Соединение закрыто`);
+      this.scheduleReconnect(connectionInfo);
     });
 
     client.on("offline", () => {
@@ -234,16 +414,117 @@ export class MQTTManager {
     });
 
     client.on("reconnect", () => {
-      connectionInfo.reconnectAttempts++;
-      if (connectionInfo.reconnectAttempts > this.maxReconnectAttempts) {
-        console.log(
-          `⛔ [MQTT-Receiver] [${server.name}] Достигнут лимит попыток (${this.maxReconnectAttempts}), переподключение остановлено`
-        );
-        client.end(true);
+      console.log(
+        `🔄 [MQTT-Receiver] [${server.name}] Переподключение... (попытка ${connectionInfo.reconnectAttempts})`
+      );
+    });
+  }
+
+  /**
+   * Вычисляет задержку перед следующей попыткой (экспонента с джиттером)
+   * @param {number} attempt - Номер попытки (с 1)
+   * @returns {number} - Задержка (мс)
+   */
+  getBackoffDelay(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.reconnect;
+    const base = Math.min(
+      maxDelay,
+      initialDelay * Math.pow(multiplier, attempt - 1)
+    );
+    const spread = base * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Планирует переподключение к серверу. После maxAttempts неудач подряд
+   * сервер переводится в disabled и пробует снова раз в disabledCooldown
+   * @param {Object} connectionInfo - Информация о подключении
+   */
+  scheduleReconnect(connectionInfo) {
+    if (
+      this.shuttingDown ||
+      connectionInfo.removed ||
+      connectionInfo.reconnectTimer
+    ) {
+      return;
+    }
+
+    const { server, client } = connectionInfo;
+    const { maxAttempts, disabledCooldown } = this.reconnect;
+
+    connectionInfo.reconnectAttempts++;
+
+    let delay;
+    if (maxAttempts > 0 && connectionInfo.reconnectAttempts > maxAttempts) {
+      delay = disabledCooldown;
+      connectionInfo.state = "disabled";
+      console.log(
+        `⛔ [MQTT-Receiver] [${server.name}] ${connectionInfo.reconnectAttempts - 1} неудачных попыток подряд, следующая через ${Math.round(delay / 60000)} мин`
+      );
+    } else {
+      delay = this.getBackoffDelay(connectionInfo.reconnectAttempts);
+      connectionInfo.state = "backing-off";
+      console.log(
+        `⏳ [MQTT-Receiver] [${server.name}] Переподключение через ${Math.round(delay / 1000)}с (попытка ${connectionInfo.reconnectAttempts})`
+      );
+    }
+
+    connectionInfo.nextRetryAt = Date.now() + delay;
+    connectionInfo.reconnectTimer = setTimeout(() => {
+      connectionInfo.reconnectTimer = null;
+      connectionInfo.nextRetryAt = null;
+      if (this.shuttingDown) {
+        return;
+      }
+      connectionInfo.state = "connecting";
+      client.reconnect();
+    }, delay);
+  }
+
+  /**
+   * Запускает сторожевой таймер "тихих" подключений
+   */
+  startWatchdog() {
+    if (this.watchdogTimer || this.watchdog.checkInterval <= 0) {
+      return;
+    }
+
+    this.watchdogTimer = setInterval(
+      () => this.checkIdleConnections(),
+      this.watchdog.checkInterval
+    );
+  }
+
+  /**
+   * Переподключает серверы, которые подключены, но давно не присылали сообщений
+   */
+  checkIdleConnections() {
+    const now = Date.now();
+
+    this.connections.forEach((connectionInfo) => {
+      const idleTimeout =
+        connectionInfo.server.idleTimeout ?? this.watchdog.idleTimeout;
+
+      if (connectionInfo.state !== "connected" || !idleTimeout) {
+        return;
+      }
+
+      const lastActivity = Math.max(
+        connectionInfo.lastMessageAt || 0,
+        connectionInfo.connectedAt
+      );
+      if (now - lastActivity < idleTimeout) {
         return;
       }
+
       console.log(
-        `🔄 [MQTT-Receiver] [${server.name}] Переподключение... (попытка ${connectionInfo.reconnectAttempts})`
+        `🐕 [MQTT-Receiver] [${connectionInfo.server.name}] Нет сообщений ${Math.round((now - lastActivity) / 60000)} мин, переподключение`
+      );
+      connectionInfo.watchdogReconnects++;
+      connectionInfo.state = "connecting";
+      connectionInfo.reconnectAttempts = 0;
+      connectionInfo.client.end(true, {}, () =>
+        this.scheduleReconnect(connectionInfo)
       );
     });
   }
@@ -260,7 +541,7 @@ export class MQTTManager {
     client.subscribe(topics, (err) => {
       if (!err) {
         console.log(
-          `📡 [MQTT-Receiver] [${server.name}] Подписан на ${topics.length} топиков`
+          `📡 [MQTT-Receiver] [${server.name}] Подписан на ${topics.length} топиков: ${topics.join(", ")}`
         );
         resolve({ server, isConnected: true });
       } else {
@@ -273,12 +554,201 @@ export class MQTTManager {
     });
   }
 
+  /**
+   * Публикует сообщение на сервер
+   * @param {string} serverName - Имя сервера
+   * @param {string} topic - Топик
+   * @param {Buffer} payload - Данные
+   * @param {Object} options - Опции публикации MQTT
+   * @returns {Promise<void>}
+   */
+  publish(serverName, topic, payload, options = { qos: 0, retain: false }) {
+    return new Promise((resolve, reject) => {
+      const connection = this.connections.get(serverName);
+      if (!connection || !connection.isConnected) {
+        reject(new Error(`Server ${serverName} is not connected`));
+        return;
+      }
+
+      connection.client.publish(topic, payload, options, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Применяет новый список серверов без перезапуска: подключает новые,
+   * отключает удаленные, переподключает серверы с измененным адресом и
+   * переподписывает серверы с измененными топиками
+   * @param {Array} servers - Новый список серверов
+   * @returns {Promise<Object>} - { added, removed, reconnected, resubscribed }
+   */
+  async applyServerList(servers) {
+    const result = { added: [], removed: [], reconnected: [], resubscribed: [] };
+    const nextByName = new Map(servers.map((server) => [server.name, server]));
+
+    for (const name of Array.from(this.connections.keys())) {
+      if (!nextByName.has(name)) {
+        await this.disconnectServer(name);
+        result.removed.push(name);
+      }
+    }
+
+    const connectPromises = [];
+    for (const server of servers) {
+      const connectionInfo = this.connections.get(server.name);
+
+      if (!connectionInfo) {
+        connectPromises.push(this.connectToServer(server));
+        result.added.push(server.name);
+        continue;
+      }
+
+      if (this.isConnectionChanged(connectionInfo.server, server)) {
+        await this.disconnectServer(server.name);
+        connectPromises.push(this.connectToServer(server));
+        result.reconnected.push(server.name);
+        continue;
+      }
+
+      const previousServer = connectionInfo.server;
+      connectionInfo.server = server;
+      connectionInfo.excludeTopics = this.getExcludedTopicList(server);
+
+      if (
+        JSON.stringify(this.getTopicList(previousServer)) !==
+        JSON.stringify(this.getTopicList(server))
+      ) {
+        await this.updateSubscriptions(connectionInfo);
+        result.resubscribed.push(server.name);
+      }
+    }
+
+    // Ошибки первого подключения не критичны - дальше работает scheduleReconnect
+    const connectResults = await Promise.allSettled(connectPromises);
+    connectResults.forEach((connectResult) => {
+      if (connectResult.status === "rejected") {
+        console.log(
+          `⚠️ [MQTT-Receiver] Ошибка подключения нового сервера: ${connectResult.reason?.message || connectResult.reason}`
+        );
+      }
+    });
+
+    console.log(
+      `🔁 [MQTT-Receiver] Список серверов применен: добавлено ${result.added.length}, удалено ${result.removed.length}, переподключено ${result.reconnected.length}, переподписано ${result.resubscribed.length}`
+    );
+    return result;
+  }
+
+  /**
+   * Проверяет, требуют ли изменения конфига сервера нового подключения.
+   * Топики, Telegram и прочие настройки обработки применяются на лету
+   * @param {Object} previous - Текущий конфиг сервера
+   * @param {Object} next - Новый конфиг сервера
+   * @returns {boolean}
+   */
+  isConnectionChanged(previous, next) {
+    const connectionFields = (server) => {
+      const {
+        topics,
+        telegram,
+        topicLayout,
+        idleTimeout,
+        mqttRelayed,
+        bridged,
+        ...rest
+      } = server;
+      return JSON.stringify(rest);
+    };
+    return connectionFields(previous) !== connectionFields(next);
+  }
+
+  /**
+   * Приводит подписки сервера к актуальному списку топиков
+   * @param {Object} connectionInfo - Информация о подключении
+   */
+  async updateSubscriptions(connectionInfo) {
+    const { server, client } = connectionInfo;
+    const nextTopics = this.getTopicList(server);
+    const toUnsubscribe = connectionInfo.topics.filter(
+      (topic) => !nextTopics.includes(topic)
+    );
+    const toSubscribe = nextTopics.filter(
+      (topic) => !connectionInfo.topics.includes(topic)
+    );
+
+    // При следующем подключении подпишемся уже на новый список
+    connectionInfo.topics = nextTopics;
+
+    if (!connectionInfo.isConnected) {
+      return;
+    }
+
+    try {
+      if (toUnsubscribe.length > 0) {
+        await client.unsubscribeAsync(toUnsubscribe);
+      }
+      if (toSubscribe.length > 0) {
+        await client.subscribeAsync(toSubscribe);
+      }
+      console.log(
+        `📡 [MQTT-Receiver] [${server.name}] Подписки обновлены: +${toSubscribe.length} -${toUnsubscribe.length}`
+      );
+    } catch (error) {
+      console.error(
+        `❌ [MQTT-Receiver] [${server.name}] Ошибка обновления подписок:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Отключается от сервера и удаляет его из списка подключений
+   * @param {string} serverName - Имя сервера
+   */
+  async disconnectServer(serverName) {
+    const connectionInfo = this.connections.get(serverName);
+    if (!connectionInfo) {
+      return;
+    }
+
+    connectionInfo.removed = true;
+    clearTimeout(connectionInfo.reconnectTimer);
+    this.connections.delete(serverName);
+
+    await new Promise((resolve) => {
+      connectionInfo.client.end(false, {}, () => {
+        console.log(`✅ [MQTT-Receiver] [${serverName}] Отключен`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Возвращает актуальный конфиг сервера
+   * @param {string} serverName - Имя сервера
+   * @returns {Object|null}
+   */
+  getServer(serverName) {
+    return this.connections.get(serverName)?.server || null;
+  }
+
   /**
    * Отключается от всех серверов
    */
   disconnect() {
     console.log("\n👋 [MQTT-Receiver] Отключение от всех серверов...");
 
+    this.shuttingDown = true;
+    clearInterval(this.watchdogTimer);
+    this.connections.forEach((connectionInfo) =>
+      clearTimeout(connectionInfo.reconnectTimer)
+    );
+
     const disconnectPromises = Array.from(this.connections.entries()).map(
       ([serverName, connectionInfo]) => {
         return new Promise((resolve) => {
@@ -334,16 +804,23 @@ export class MQTTManager {
       const serverStats = {
         name,
         connected: conn.isConnected,
+        state: conn.state,
         reconnectAttempts: conn.reconnectAttempts,
+        nextRetryAt: conn.nextRetryAt,
+        connectedAt: conn.connectedAt,
+        lastMessageAt: conn.lastMessageAt,
+        lastError: conn.lastError,
+        watchdogReconnects: conn.watchdogReconnects,
         clientId: conn.clientId,
       };
 
-      if (conn.isConnected) {
+      // failed - серверы в состоянии disabled (ожидают disabledCooldown)
+      if (conn.state === "connected") {
         stats.connected++;
-      } else if (conn.reconnectAttempts > 0) {
-        stats.reconnecting++;
-      } else {
+      } else if (conn.state === "disabled") {
         stats.failed++;
+      } else {
+        stats.reconnecting++;
       }
 
       stats.servers.push(serverStats);
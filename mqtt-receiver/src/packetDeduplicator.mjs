@@ -0,0 +1,200 @@
+/**
+ * Дедупликация копий MeshPacket (from + id), пришедших от разных брокеров и шлюзов.
+ * Первая копия открывает окно сбора: копии, пришедшие в это окно, добавляются в
+ * список приемов (receptions) и обрабатываются одним событием. Копии после окна
+ * передаются как поздние приемы. Окно "уже видели" хранится в памяти и в Redis
+ * (SET NX), поэтому пакет не обрабатывается повторно другой репликой или после рестарта
+ */
+export class PacketDeduplicator {
+  /**
+   * @param {Object} options - Настройки
+   * @param {boolean} options.enabled - Включена ли дедупликация
+   * @param {number} options.collectWindowMs - Окно сбора копий перед обработкой (мс)
+   * @param {number} options.seenWindowMs - Сколько помнить обработанный пакет (мс)
+   * @param {number} options.maxEntries - Максимум пакетов в памяти
+   * @param {Function} options.onPacket - Обработчик уникального пакета (item)
+   * @param {Function} options.onLateReception - Обработчик поздней копии (item, reception)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.collectWindowMs = options.collectWindowMs ?? 3000;
+    this.seenWindowMs = options.seenWindowMs ?? 10 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 50000;
+    this.onPacket = options.onPacket;
+    this.onLateReception = options.onLateReception;
+
+    this.redisManager = null;
+    this.entries = new Map();
+    this.stats = { unique: 0, duplicates: 0, late: 0, remote: 0 };
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Подключает Redis и запускает очистку устаревших записей
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  init(redisManager) {
+    this.redisManager = redisManager;
+    if (this.enabled) {
+      this.sweepTimer = setInterval(() => this.sweep(), 30000);
+    }
+  }
+
+  /**
+   * Принимает копию пакета
+   * @param {Object} item - { server, fullTopic, user, eventName, eventType, event }
+   */
+  async accept(item) {
+    const { event } = item;
+
+    if (!this.enabled || !event?.from || !event?.id) {
+      await this.onPacket(item);
+      return;
+    }
+
+    const key = `${event.from}:${event.id}`;
+    const reception = this.createReception(item);
+    const entry = this.entries.get(key);
+
+    if (entry) {
+      this.stats.duplicates++;
+      if (entry.collecting) {
+        entry.receptions.push(reception);
+      } else if (entry.throttled) {
+        // Пакет отброшен rate limiter'ом - поздние копии тоже не обрабатываем
+        return;
+      } else {
+        this.stats.late++;
+        await this.onLateReception(item, reception);
+      }
+      return;
+    }
+
+    const newEntry = {
+      firstSeen: Date.now(),
+      collecting: true,
+      item,
+      receptions: [reception],
+    };
+    this.entries.set(key, newEntry);
+    this.evictOverflow();
+
+    // Пакет мог уже обработать другой экземпляр receiver'а
+    const claimed = this.redisManager
+      ? await this.redisManager.claimPacket(key, this.seenWindowMs)
+      : true;
+
+    if (!claimed) {
+      this.stats.remote++;
+      newEntry.collecting = false;
+      newEntry.item = null;
+      for (const remoteReception of newEntry.receptions) {
+        await this.onLateReception(item, remoteReception);
+      }
+      return;
+    }
+
+    this.stats.unique++;
+    setTimeout(() => this.flush(key), this.collectWindowMs);
+  }
+
+  /**
+   * Завершает окно сбора и передает пакет со всеми приемами на обработку
+   * @param {string} key - Ключ пакета
+   */
+  async flush(key) {
+    const entry = this.entries.get(key);
+    if (!entry || !entry.collecting) {
+      return;
+    }
+
+    const { item, receptions } = entry;
+    entry.collecting = false;
+    entry.item = null;
+
+    try {
+      const packet = { ...item, event: { ...item.event, receptions } };
+      await this.onPacket(packet);
+      // Решение rate limiter'а сохраняется в записи для поздних копий
+      entry.throttled = packet.throttled === true;
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка передачи пакета после дедупликации:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Формирует метаданные приема копии конкретным шлюзом
+   * @param {Object} item - Копия пакета
+   * @returns {Object} - Метаданные приема
+   */
+  createReception({ server, fullTopic, event }) {
+    return {
+      gatewayId: event.gatewayId,
+      rxRssi: event.rxRssi,
+      rxSnr: event.rxSnr,
+      hopLimit: event.hopLimit,
+      hopStart: event.hopStart,
+      relayNode: event.relayNode,
+      viaMqtt: event.viaMqtt,
+      mqttRelayed: event.mqttRelayed,
+      server: server.name,
+      topic: fullTopic,
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Удаляет пакеты старше окна "уже видели"
+   */
+  sweep() {
+    const threshold = Date.now() - this.seenWindowMs;
+    for (const [key, entry] of this.entries) {
+      if (entry.firstSeen >= threshold) {
+        break; // Map хранит порядок вставки - дальше только более новые
+      }
+      if (!entry.collecting) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Ограничивает размер окна в памяти, удаляя самые старые пакеты
+   */
+  evictOverflow() {
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      if (!entry.collecting) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Возвращает статистику дедупликации
+   */
+  getStats() {
+    return { ...this.stats, tracked: this.entries.size };
+  }
+
+  /**
+   * Передает на обработку пакеты, ожидающие окончания окна сбора
+   */
+  async stop() {
+    clearInterval(this.sweepTimer);
+    const pending = Array.from(this.entries.entries())
+      .filter(([, entry]) => entry.collecting)
+      .map(([key]) => key);
+
+    for (const key of pending) {
+      await this.flush(key);
+    }
+  }
+}
+
+export default PacketDeduplicator;
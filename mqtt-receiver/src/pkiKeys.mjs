@@ -0,0 +1,235 @@
+import crypto from "crypto";
+
+// DER-префиксы для оборачивания сырых X25519 ключей в PKCS8/SPKI
+const X25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b656e04220420", "hex");
+const X25519_SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+
+// Размер хвоста PKI пакета: 8 байт MAC + 4 байта extraNonce
+const PKI_OVERHEAD = 12;
+const PKI_AUTH_TAG_LENGTH = 8;
+
+const PEER_KEY_CACHE_LIMIT = 10000;
+
+/**
+ * Преобразует "!abcd1234" или число в числовой ID ноды
+ * @param {string|number} nodeId - ID ноды
+ * @returns {number} - Числовой ID
+ */
+const toNodeNum = (nodeId) =>
+  typeof nodeId === "string" && nodeId.startsWith("!")
+    ? parseInt(nodeId.substring(1), 16)
+    : Number(nodeId);
+
+/**
+ * Хранилище ключей для расшифровки PKI личных сообщений (прошивка 2.5+).
+ * Приватные ключи наших нод задаются только в конфиге, публичные ключи
+ * собеседников берутся из MeshPacket.public_key или из NODEINFO (User.public_key)
+ */
+export class PkiKeyStore {
+  /**
+   * @param {Object} options - Настройки
+   * @param {Array} options.keys - Наши ноды [{ node: "!abcd1234", privateKey | privateKeyEnv }]
+   */
+  constructor(options = {}) {
+    this.redisManager = null;
+    this.ownedNodes = new Map();
+    this.peerKeys = new Map();
+    this.stats = { decrypted: 0, failed: 0, missingPeerKey: 0 };
+
+    (options.keys || []).forEach((entry) => this.addOwnedNode(entry));
+  }
+
+  /**
+   * Подключает Redis для хранения публичных ключей нод
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  init(redisManager) {
+    this.redisManager = redisManager;
+
+    if (this.ownedNodes.size > 0) {
+      console.log(
+        `🔐 [MQTT-Receiver] PKI расшифровка включена для ${this.ownedNodes.size} нод`
+      );
+    }
+  }
+
+  /**
+   * Регистрирует приватный ключ нашей ноды
+   * @param {Object} entry - { node, privateKey (base64), privateKeyEnv }
+   */
+  addOwnedNode(entry) {
+    try {
+      const encoded = entry.privateKeyEnv
+        ? process.env[entry.privateKeyEnv]
+        : entry.privateKey;
+      const raw = Buffer.from(encoded || "", "base64");
+
+      if (raw.length !== 32) {
+        throw new Error("приватный ключ должен быть 32 байта (base64)");
+      }
+
+      const privateKey = crypto.createPrivateKey({
+        key: Buffer.concat([X25519_PKCS8_PREFIX, raw]),
+        format: "der",
+        type: "pkcs8",
+      });
+
+      this.ownedNodes.set(toNodeNum(entry.node), { node: entry.node, privateKey });
+    } catch (error) {
+      console.error(
+        `❌ [MQTT-Receiver] Некорректный PKI ключ для ${entry.node}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Проверяет, может ли пакет быть PKI сообщением для нашей ноды
+   * @param {Object} packet - MeshPacket
+   * @param {string} channelName - Имя канала из топика/ServiceEnvelope
+   * @returns {boolean}
+   */
+  isCandidate(packet, channelName) {
+    if (!this.ownedNodes.has(packet?.to)) {
+      return false;
+    }
+    if (!packet.encrypted || packet.encrypted.length <= PKI_OVERHEAD) {
+      return false;
+    }
+
+    // Прошивка публикует PKI пакеты в канал "PKI" с нулевым хэшем канала
+    return (
+      packet.pkiEncrypted === true ||
+      channelName === "PKI" ||
+      packet.channel === 0
+    );
+  }
+
+  /**
+   * Запоминает публичный ключ ноды из NODEINFO
+   * @param {number} nodeId - Числовой ID ноды
+   * @param {string} publicKeyHex - Публичный ключ (hex)
+   */
+  async rememberPeerKey(nodeId, publicKeyHex) {
+    if (!publicKeyHex || publicKeyHex.length !== 64) {
+      return;
+    }
+    if (this.peerKeys.get(nodeId) === publicKeyHex) {
+      return;
+    }
+
+    this._cachePeerKey(nodeId, publicKeyHex);
+    if (this.redisManager) {
+      await this.redisManager.saveNodePublicKey(nodeId, publicKeyHex);
+    }
+  }
+
+  /**
+   * Возвращает публичный ключ ноды (кэш, затем Redis)
+   * @param {number} nodeId - Числовой ID ноды
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPeerKey(nodeId) {
+    let publicKeyHex = this.peerKeys.get(nodeId);
+
+    if (!publicKeyHex && this.redisManager) {
+      publicKeyHex = await this.redisManager.getNodePublicKey(nodeId);
+      if (publicKeyHex) {
+        this._cachePeerKey(nodeId, publicKeyHex);
+      }
+    }
+
+    return publicKeyHex ? Buffer.from(publicKeyHex, "hex") : null;
+  }
+
+  _cachePeerKey(nodeId, publicKeyHex) {
+    if (this.peerKeys.size >= PEER_KEY_CACHE_LIMIT) {
+      // Удаляем самую старую запись
+      this.peerKeys.delete(this.peerKeys.keys().next().value);
+    }
+    this.peerKeys.set(nodeId, publicKeyHex);
+  }
+
+  /**
+   * Расшифровывает PKI пакет (X25519 + SHA256 + AES-256-CCM)
+   * @param {Object} packet - MeshPacket
+   * @returns {Promise<Buffer|null>} - Сериализованный Data или null
+   */
+  async decrypt(packet) {
+    const owned = this.ownedNodes.get(packet.to);
+    if (!owned) {
+      return null;
+    }
+
+    const peerKey =
+      packet.publicKey?.length === 32
+        ? Buffer.from(packet.publicKey)
+        : await this.getPeerKey(packet.from);
+
+    if (!peerKey) {
+      this.stats.missingPeerKey++;
+      return null;
+    }
+
+    try {
+      const encrypted = Buffer.from(packet.encrypted);
+      const ciphertext = encrypted.subarray(0, encrypted.length - PKI_OVERHEAD);
+      const authTag = encrypted.subarray(
+        encrypted.length - PKI_OVERHEAD,
+        encrypted.length - PKI_OVERHEAD + PKI_AUTH_TAG_LENGTH
+      );
+      const extraNonce = encrypted.subarray(
+        encrypted.length - PKI_OVERHEAD + PKI_AUTH_TAG_LENGTH
+      );
+
+      const sharedSecret = crypto.diffieHellman({
+        privateKey: owned.privateKey,
+        publicKey: crypto.createPublicKey({
+          key: Buffer.concat([X25519_SPKI_PREFIX, peerKey]),
+          format: "der",
+          type: "spki",
+        }),
+      });
+      const key = crypto.createHash("sha256").update(sharedSecret).digest();
+
+      const decipher = crypto.createDecipheriv(
+        "aes-256-ccm",
+        key,
+        this.createNonce(packet.id, packet.from, extraNonce),
+        { authTagLength: PKI_AUTH_TAG_LENGTH }
+      );
+      decipher.setAuthTag(authTag);
+      const decrypted = Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final(),
+      ]);
+
+      this.stats.decrypted++;
+      return decrypted;
+    } catch (error) {
+      this.stats.failed++;
+      return null;
+    }
+  }
+
+  /**
+   * Создает 13-байтовый nonce для AES-CCM: packetId (u64 LE), from (u32 LE),
+   * extraNonce записывается поверх старших байтов packetId
+   */
+  createNonce(packetId, fromNode, extraNonce) {
+    const nonce = Buffer.alloc(16);
+    nonce.writeBigUInt64LE(BigInt(packetId), 0);
+    nonce.writeUInt32LE(fromNode, 8);
+    extraNonce.copy(nonce, 4);
+    return nonce.subarray(0, 13);
+  }
+
+  /**
+   * Возвращает статистику PKI расшифровки
+   */
+  getStats() {
+    return { ownedNodes: this.ownedNodes.size, ...this.stats };
+  }
+}
+
+export default PkiKeyStore;
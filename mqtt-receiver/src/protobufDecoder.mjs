@@ -1,3 +1,6 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
 import protobuf from "protobufjs";
 
 // Define protobuf schemas
@@ -22,11 +25,11 @@ const serviceEnvelopeSchema = {
     MeshPacket: {
       fields: {
         from: {
-          type: "uint32",
+          type: "fixed32",
           id: 1,
         },
         to: {
-          type: "uint32",
+          type: "fixed32",
           id: 2,
         },
         channel: {
@@ -42,11 +45,11 @@ const serviceEnvelopeSchema = {
           id: 5,
         },
         id: {
-          type: "uint32",
+          type: "fixed32",
           id: 6,
         },
         rxTime: {
-          type: "uint32",
+          type: "fixed32",
           id: 7,
         },
         rxSnr: {
@@ -73,6 +76,30 @@ const serviceEnvelopeSchema = {
           type: "uint32",
           id: 13,
         },
+        viaMqtt: {
+          type: "bool",
+          id: 14,
+        },
+        hopStart: {
+          type: "uint32",
+          id: 15,
+        },
+        publicKey: {
+          type: "bytes",
+          id: 16,
+        },
+        pkiEncrypted: {
+          type: "bool",
+          id: 17,
+        },
+        nextHop: {
+          type: "uint32",
+          id: 18,
+        },
+        relayNode: {
+          type: "uint32",
+          id: 19,
+        },
       },
     },
     Data: {
@@ -90,23 +117,23 @@ const serviceEnvelopeSchema = {
           id: 3,
         },
         dest: {
-          type: "uint32",
+          type: "fixed32",
           id: 4,
         },
         source: {
-          type: "uint32",
+          type: "fixed32",
           id: 5,
         },
         requestId: {
-          type: "uint32",
+          type: "fixed32",
           id: 6,
         },
         replyId: {
-          type: "uint32",
+          type: "fixed32",
           id: 7,
         },
         emoji: {
-          type: "uint32",
+          type: "fixed32",
           id: 8,
         },
       },
@@ -333,6 +360,274 @@ const serviceEnvelopeSchema = {
           type: "EnvironmentMetrics",
           id: 3,
         },
+        air_quality_metrics: {
+          type: "AirQualityMetrics",
+          id: 4,
+        },
+        power_metrics: {
+          type: "PowerMetrics",
+          id: 5,
+        },
+        local_stats: {
+          type: "LocalStats",
+          id: 6,
+        },
+        health_metrics: {
+          type: "HealthMetrics",
+          id: 7,
+        },
+        host_metrics: {
+          type: "HostMetrics",
+          id: 8,
+        },
+      },
+    },
+    PowerMetrics: {
+      fields: {
+        ch1_voltage: {
+          type: "float",
+          id: 1,
+        },
+        ch1_current: {
+          type: "float",
+          id: 2,
+        },
+        ch2_voltage: {
+          type: "float",
+          id: 3,
+        },
+        ch2_current: {
+          type: "float",
+          id: 4,
+        },
+        ch3_voltage: {
+          type: "float",
+          id: 5,
+        },
+        ch3_current: {
+          type: "float",
+          id: 6,
+        },
+        ch4_voltage: {
+          type: "float",
+          id: 7,
+        },
+        ch4_current: {
+          type: "float",
+          id: 8,
+        },
+        ch5_voltage: {
+          type: "float",
+          id: 9,
+        },
+        ch5_current: {
+          type: "float",
+          id: 10,
+        },
+        ch6_voltage: {
+          type: "float",
+          id: 11,
+        },
+        ch6_current: {
+          type: "float",
+          id: 12,
+        },
+        ch7_voltage: {
+          type: "float",
+          id: 13,
+        },
+        ch7_current: {
+          type: "float",
+          id: 14,
+        },
+        ch8_voltage: {
+          type: "float",
+          id: 15,
+        },
+        ch8_current: {
+          type: "float",
+          id: 16,
+        },
+      },
+    },
+    AirQualityMetrics: {
+      fields: {
+        pm10_standard: {
+          type: "uint32",
+          id: 1,
+        },
+        pm25_standard: {
+          type: "uint32",
+          id: 2,
+        },
+        pm100_standard: {
+          type: "uint32",
+          id: 3,
+        },
+        pm10_environmental: {
+          type: "uint32",
+          id: 4,
+        },
+        pm25_environmental: {
+          type: "uint32",
+          id: 5,
+        },
+        pm100_environmental: {
+          type: "uint32",
+          id: 6,
+        },
+        particles_03um: {
+          type: "uint32",
+          id: 7,
+        },
+        particles_05um: {
+          type: "uint32",
+          id: 8,
+        },
+        particles_10um: {
+          type: "uint32",
+          id: 9,
+        },
+        particles_25um: {
+          type: "uint32",
+          id: 10,
+        },
+        particles_50um: {
+          type: "uint32",
+          id: 11,
+        },
+        particles_100um: {
+          type: "uint32",
+          id: 12,
+        },
+        co2: {
+          type: "uint32",
+          id: 13,
+        },
+        co2_temperature: {
+          type: "float",
+          id: 14,
+        },
+        co2_humidity: {
+          type: "float",
+          id: 15,
+        },
+      },
+    },
+    LocalStats: {
+      fields: {
+        uptime_seconds: {
+          type: "uint32",
+          id: 1,
+        },
+        channel_utilization: {
+          type: "float",
+          id: 2,
+        },
+        air_util_tx: {
+          type: "float",
+          id: 3,
+        },
+        num_packets_tx: {
+          type: "uint32",
+          id: 4,
+        },
+        num_packets_rx: {
+          type: "uint32",
+          id: 5,
+        },
+        num_packets_rx_bad: {
+          type: "uint32",
+          id: 6,
+        },
+        num_online_nodes: {
+          type: "uint32",
+          id: 7,
+        },
+        num_total_nodes: {
+          type: "uint32",
+          id: 8,
+        },
+        num_rx_dupe: {
+          type: "uint32",
+          id: 9,
+        },
+        num_tx_relay: {
+          type: "uint32",
+          id: 10,
+        },
+        num_tx_relay_canceled: {
+          type: "uint32",
+          id: 11,
+        },
+        heap_total_bytes: {
+          type: "uint32",
+          id: 12,
+        },
+        heap_free_bytes: {
+          type: "uint32",
+          id: 13,
+        },
+        num_tx_dropped: {
+          type: "uint32",
+          id: 14,
+        },
+      },
+    },
+    HealthMetrics: {
+      fields: {
+        heart_bpm: {
+          type: "uint32",
+          id: 1,
+        },
+        spO2: {
+          type: "uint32",
+          id: 2,
+        },
+        temperature: {
+          type: "float",
+          id: 3,
+        },
+      },
+    },
+    HostMetrics: {
+      fields: {
+        uptime_seconds: {
+          type: "uint32",
+          id: 1,
+        },
+        freemem_bytes: {
+          type: "uint64",
+          id: 2,
+        },
+        diskfree1_bytes: {
+          type: "uint64",
+          id: 3,
+        },
+        diskfree2_bytes: {
+          type: "uint64",
+          id: 4,
+        },
+        diskfree3_bytes: {
+          type: "uint64",
+          id: 5,
+        },
+        load1: {
+          type: "uint32",
+          id: 6,
+        },
+        load5: {
+          type: "uint32",
+          id: 7,
+        },
+        load15: {
+          type: "uint32",
+          id: 8,
+        },
+        user_string: {
+          type: "string",
+          id: 9,
+        },
       },
     },
     MapReport: {
@@ -492,6 +787,234 @@ const serviceEnvelopeSchema = {
         },
       },
     },
+    StoreAndForward: {
+      fields: {
+        rr: {
+          type: "uint32",
+          id: 1,
+        },
+        stats: {
+          type: "StoreAndForwardStatistics",
+          id: 2,
+        },
+        history: {
+          type: "StoreAndForwardHistory",
+          id: 3,
+        },
+        heartbeat: {
+          type: "StoreAndForwardHeartbeat",
+          id: 4,
+        },
+        text: {
+          type: "bytes",
+          id: 5,
+        },
+      },
+    },
+    StoreAndForwardStatistics: {
+      fields: {
+        messages_total: {
+          type: "uint32",
+          id: 1,
+        },
+        messages_saved: {
+          type: "uint32",
+          id: 2,
+        },
+        messages_max: {
+          type: "uint32",
+          id: 3,
+        },
+        up_time: {
+          type: "uint32",
+          id: 4,
+        },
+        requests: {
+          type: "uint32",
+          id: 5,
+        },
+        requests_history: {
+          type: "uint32",
+          id: 6,
+        },
+        heartbeat: {
+          type: "bool",
+          id: 7,
+        },
+        return_max: {
+          type: "uint32",
+          id: 8,
+        },
+        return_window: {
+          type: "uint32",
+          id: 9,
+        },
+      },
+    },
+    StoreAndForwardHistory: {
+      fields: {
+        history_messages: {
+          type: "uint32",
+          id: 1,
+        },
+        window: {
+          type: "uint32",
+          id: 2,
+        },
+        last_request: {
+          type: "uint32",
+          id: 3,
+        },
+      },
+    },
+    StoreAndForwardHeartbeat: {
+      fields: {
+        period: {
+          type: "uint32",
+          id: 1,
+        },
+        secondary: {
+          type: "uint32",
+          id: 2,
+        },
+      },
+    },
+    TAKPacket: {
+      fields: {
+        is_compressed: {
+          type: "bool",
+          id: 1,
+        },
+        contact: {
+          type: "TAKContact",
+          id: 2,
+        },
+        group: {
+          type: "TAKGroup",
+          id: 3,
+        },
+        status: {
+          type: "TAKStatus",
+          id: 4,
+        },
+        pli: {
+          type: "TAKPLI",
+          id: 5,
+        },
+        chat: {
+          type: "TAKGeoChat",
+          id: 6,
+        },
+        detail: {
+          type: "bytes",
+          id: 7,
+        },
+      },
+    },
+    TAKContact: {
+      fields: {
+        callsign: {
+          type: "string",
+          id: 1,
+        },
+        device_callsign: {
+          type: "string",
+          id: 2,
+        },
+      },
+    },
+    TAKGroup: {
+      fields: {
+        role: {
+          type: "uint32",
+          id: 1,
+        },
+        team: {
+          type: "uint32",
+          id: 2,
+        },
+      },
+    },
+    TAKStatus: {
+      fields: {
+        battery: {
+          type: "uint32",
+          id: 1,
+        },
+      },
+    },
+    TAKPLI: {
+      fields: {
+        latitude_i: {
+          type: "sfixed32",
+          id: 1,
+        },
+        longitude_i: {
+          type: "sfixed32",
+          id: 2,
+        },
+        altitude: {
+          type: "int32",
+          id: 3,
+        },
+        speed: {
+          type: "uint32",
+          id: 4,
+        },
+        course: {
+          type: "uint32",
+          id: 5,
+        },
+      },
+    },
+    TAKGeoChat: {
+      fields: {
+        message: {
+          type: "string",
+          id: 1,
+        },
+        to: {
+          type: "string",
+          id: 2,
+        },
+        to_callsign: {
+          type: "string",
+          id: 3,
+        },
+      },
+    },
+    Routing: {
+      fields: {
+        route_request: {
+          type: "RouteDiscovery",
+          id: 1,
+        },
+        route_reply: {
+          type: "RouteDiscovery",
+          id: 2,
+        },
+        error_reason: {
+          type: "uint32",
+          id: 3,
+        },
+      },
+    },
+    Paxcount: {
+      fields: {
+        wifi: {
+          type: "uint32",
+          id: 1,
+        },
+        ble: {
+          type: "uint32",
+          id: 2,
+        },
+        uptime: {
+          type: "uint32",
+          id: 3,
+        },
+      },
+    },
   },
 };
 
@@ -526,6 +1049,189 @@ const PortNum = {
   MAX: 511, // Максимальный номер порта
 };
 
+// Варианты oneof Telemetry.variant и их тип при сохранении
+const TELEMETRY_VARIANTS = [
+  { field: "device_metrics", type: "deviceMetrics" },
+  { field: "environment_metrics", type: "environmentMetrics" },
+  { field: "air_quality_metrics", type: "airQualityMetrics" },
+  { field: "power_metrics", type: "powerMetrics" },
+  { field: "local_stats", type: "localStats" },
+  { field: "health_metrics", type: "healthMetrics" },
+  { field: "host_metrics", type: "hostMetrics" },
+];
+
+/**
+ * Преобразует uint64 (Long) поля в числа, чтобы они нормально сериализовались в JSON
+ */
+const toPlainNumbers = (message) => {
+  const result = { ...message };
+  for (const [key, value] of Object.entries(result)) {
+    if (protobuf.util.Long && value instanceof protobuf.util.Long) {
+      result[key] = value.toNumber();
+    }
+  }
+  return result;
+};
+
+// Routing.Error
+const ROUTING_ERRORS = {
+  0: "NONE",
+  1: "NO_ROUTE",
+  2: "GOT_NAK",
+  3: "TIMEOUT",
+  4: "NO_INTERFACE",
+  5: "MAX_RETRANSMIT",
+  6: "NO_CHANNEL",
+  7: "TOO_LARGE",
+  8: "NO_RESPONSE",
+  9: "DUTY_CYCLE_LIMIT",
+  32: "BAD_REQUEST",
+  33: "NOT_AUTHORIZED",
+  34: "PKI_FAILED",
+  35: "PKI_UNKNOWN_PUBKEY",
+  36: "ADMIN_BAD_SESSION_KEY",
+  37: "ADMIN_PUBLIC_KEY_UNAUTHORIZED",
+  38: "RATE_LIMIT_EXCEEDED",
+};
+
+// ATAK Team и MemberRole
+const TAK_TEAMS = [
+  "Unspecified",
+  "White",
+  "Yellow",
+  "Orange",
+  "Magenta",
+  "Red",
+  "Maroon",
+  "Purple",
+  "Dark_Blue",
+  "Blue",
+  "Cyan",
+  "Teal",
+  "Green",
+  "Dark_Green",
+  "Brown",
+];
+const TAK_ROLES = [
+  "Unspecified",
+  "TeamMember",
+  "TeamLead",
+  "HQ",
+  "Sniper",
+  "Medic",
+  "ForwardObserver",
+  "RTO",
+  "K9",
+];
+
+/**
+ * Приводит TAKPacket к плоскому виду. При is_compressed строки сжаты
+ * unishox2 и не сохраняются, координаты PLI передаются без сжатия
+ */
+const processTakPacket = (data) => {
+  const compressed = Boolean(data.is_compressed);
+  const result = { isCompressed: compressed };
+
+  if (data.contact && !compressed) {
+    result.contact = {
+      callsign: data.contact.callsign,
+      deviceCallsign: data.contact.device_callsign,
+    };
+  }
+  if (data.group) {
+    result.group = {
+      team: TAK_TEAMS[data.group.team] || `Unknown (${data.group.team})`,
+      role: TAK_ROLES[data.group.role] || `Unknown (${data.group.role})`,
+    };
+  }
+  if (data.status) {
+    result.status = { battery: data.status.battery };
+  }
+  if (data.pli) {
+    result.pli = {
+      latitude_i: data.pli.latitude_i,
+      longitude_i: data.pli.longitude_i,
+      altitude: data.pli.altitude,
+      speed: data.pli.speed,
+      course: data.pli.course,
+    };
+  }
+  if (data.chat && !compressed) {
+    result.chat = {
+      message: data.chat.message,
+      to: data.chat.to,
+      toCallsign: data.chat.to_callsign,
+    };
+  }
+
+  return result;
+};
+
+// StoreAndForward.RequestResponse
+const STORE_FORWARD_RR = {
+  0: "UNSET",
+  1: "ROUTER_ERROR",
+  2: "ROUTER_HEARTBEAT",
+  3: "ROUTER_PING",
+  4: "ROUTER_PONG",
+  5: "ROUTER_BUSY",
+  6: "ROUTER_HISTORY",
+  7: "ROUTER_STATS",
+  8: "ROUTER_TEXT_DIRECT",
+  9: "ROUTER_TEXT_BROADCAST",
+  64: "CLIENT_ERROR",
+  65: "CLIENT_HISTORY",
+  66: "CLIENT_STATS",
+  67: "CLIENT_PING",
+  68: "CLIENT_PONG",
+  106: "CLIENT_ABORT",
+};
+
+/**
+ * Приводит StoreAndForward к плоскому виду (rr по имени, вариант в camelCase)
+ */
+const processStoreForward = (data) => {
+  const result = {
+    rr: STORE_FORWARD_RR[data.rr] || `UNKNOWN_${data.rr}`,
+    // Сообщения ROUTER_* отправляет только роутер S&F
+    fromRouter: data.rr > 0 && data.rr < 64,
+  };
+
+  if (data.stats) {
+    result.stats = {
+      messagesTotal: data.stats.messages_total,
+      messagesSaved: data.stats.messages_saved,
+      messagesMax: data.stats.messages_max,
+      upTime: data.stats.up_time,
+      requests: data.stats.requests,
+      requestsHistory: data.stats.requests_history,
+      heartbeat: data.stats.heartbeat,
+      returnMax: data.stats.return_max,
+      returnWindow: data.stats.return_window,
+    };
+  }
+  if (data.history) {
+    result.history = {
+      historyMessages: data.history.history_messages,
+      window: data.history.window,
+      lastRequest: data.history.last_request,
+    };
+  }
+  if (data.heartbeat) {
+    result.heartbeat = {
+      period: data.heartbeat.period,
+      secondary: data.heartbeat.secondary,
+    };
+  }
+  if (data.text && data.text.length > 0) {
+    result.text = Buffer.from(data.text)
+      .toString("utf8")
+      .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, "");
+  }
+
+  return result;
+};
+
 // Unified message decoder configuration
 const MESSAGE_DECODERS = {
   [PortNum.POSITION_APP]: {
@@ -565,16 +1271,11 @@ const MESSAGE_DECODERS = {
     type: "telemetry",
     decoder: "Telemetry",
     processor: (data) => {
-      if (data.device_metrics) {
-        return {
-          type: "deviceMetrics",
-          variant: { value: data.device_metrics },
-        };
-      }
-      if (data.environment_metrics) {
+      const variant = TELEMETRY_VARIANTS.find(({ field }) => data[field]);
+      if (variant) {
         return {
-          type: "environmentMetrics",
-          variant: { value: data.environment_metrics },
+          type: variant.type,
+          variant: { value: toPlainNumbers(data[variant.field]) },
         };
       }
       const { payload, ...clean } = data;
@@ -594,7 +1295,7 @@ const MESSAGE_DECODERS = {
     processor: (data, payload) => ({
       portnum: "MAP_REPORT_APP",
       payload: Buffer.from(payload).toString("base64"),
-      decoded: data,
+      decoded: toPlainNumbers(data),
     }),
   },
   [PortNum.NEIGHBORINFO_APP]: {
@@ -630,34 +1331,284 @@ const MESSAGE_DECODERS = {
       return clean;
     },
   },
-  // Обработка legacy/неизвестных портов
-  65: {
-    type: "storeForwardLegacy",
+  [PortNum.PAXCOUNTER_APP]: {
+    type: "paxcounter",
+    decoder: "Paxcount",
+    processor: (data) => ({
+      wifi: data.wifi || 0,
+      ble: data.ble || 0,
+      uptime: data.uptime || 0,
+    }),
+  },
+  [PortNum.DETECTION_SENSOR_APP]: {
+    type: "detectionSensor",
     decoder: null,
+    // Датчик движения/двери отправляет текст, например "Motion detected"
     processor: (data, payload) => ({
-      note: "Legacy STORE_FORWARD_APP port (старый номер порта)",
-      payloadSize: payload ? payload.length : 0,
-      rawPayload: payload ? Array.from(payload).slice(0, 20) : [], // Первые 20 байт для анализа
+      text: new TextDecoder()
+        .decode(payload)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, ""),
     }),
   },
+  [PortNum.ROUTING_APP]: {
+    type: "routing",
+    decoder: "Routing",
+    processor: (data) => {
+      if (data.route_request) {
+        return {
+          variant: "routeRequest",
+          route: { ...data.route_request },
+        };
+      }
+      if (data.route_reply) {
+        return { variant: "routeReply", route: { ...data.route_reply } };
+      }
+      // ACK - это error_reason NONE с request_id исходного пакета в Data
+      const errorReason = data.error_reason || 0;
+      return {
+        variant: "errorReason",
+        errorReason: ROUTING_ERRORS[errorReason] || `UNKNOWN_${errorReason}`,
+      };
+    },
+  },
+  [PortNum.ATAK_PLUGIN]: {
+    type: "atak",
+    decoder: "TAKPacket",
+    processor: processTakPacket,
+  },
+  [PortNum.RANGE_TEST_APP]: {
+    type: "rangeTest",
+    decoder: null,
+    // Модуль Range Test отправляет текст вида "seq 123"
+    processor: (data, payload) => {
+      const text = new TextDecoder()
+        .decode(payload)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, "");
+      const seqMatch = text.match(/seq\s+(\d+)/i);
+      return {
+        text,
+        seq: seqMatch ? Number(seqMatch[1]) : null,
+      };
+    },
+  },
+  [PortNum.STORE_FORWARD_APP]: {
+    type: "storeForward",
+    decoder: "StoreAndForward",
+    processor: processStoreForward,
+  },
+  // Старый номер порта STORE_FORWARD_APP, формат тот же
+  65: {
+    type: "storeForward",
+    decoder: "StoreAndForward",
+    processor: (data) => ({ ...processStoreForward(data), legacyPort: true }),
+  },
 };
 
+/**
+ * Ищет тип в схеме, null если его нет (например, в старой версии protobufs)
+ */
+const findType = (root, name) => {
+  try {
+    return root.lookupType(name);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Приводит сообщение, декодированное типом из protobufs, к виду встроенной
+ * схемы: поля называются как во встроенном типе (сопоставление по номеру),
+ * enum и uint64 - числа. Значения по умолчанию лежат в прототипе, как у
+ * сообщений protobufjs, поэтому в JSON попадают только переданные поля
+ * @param {Object} message - Декодированное сообщение
+ * @param {protobuf.Type} loadedType - Тип из protobufs
+ * @param {protobuf.Type|null} embeddedType - Тип встроенной схемы
+ * @returns {Object} - Обычный объект
+ */
+const toEmbeddedShape = (message, loadedType, embeddedType) => {
+  const defaults = {};
+  const result = Object.create(defaults);
+
+  loadedType.fieldsArray.forEach((field) => {
+    const embeddedField = embeddedType?.fieldsById[field.id];
+    const name = embeddedField?.name ?? field.name;
+    const nestedType =
+      embeddedField?.resolvedType instanceof protobuf.Type
+        ? embeddedField.resolvedType
+        : null;
+    const convert = (value) => {
+      if (value === null || value === undefined) {
+        return value;
+      }
+      if (field.resolvedType instanceof protobuf.Type) {
+        return toEmbeddedShape(value, field.resolvedType, nestedType);
+      }
+      return typeof value.toNumber === "function" ? value.toNumber() : value;
+    };
+
+    defaults[name] = field.repeated
+      ? []
+      : field.map
+      ? {}
+      : convert(field.defaultValue);
+
+    if (!Object.prototype.hasOwnProperty.call(message, field.name)) {
+      return;
+    }
+    const value = message[field.name];
+    result[name] = field.repeated
+      ? value.map(convert)
+      : field.map
+      ? Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [key, convert(item)])
+        )
+      : convert(value);
+  });
+
+  return result;
+};
+
+/**
+ * Собирает полные имена всех message типов схемы
+ * @param {protobuf.Namespace} namespace - Корень или пакет
+ * @returns {Array<string>} - Например "meshtastic.Position"
+ */
+const collectTypeNames = (namespace) =>
+  (namespace.nestedArray || []).flatMap((nested) => [
+    ...(nested instanceof protobuf.Type ? [nested.fullName.slice(1)] : []),
+    ...(nested instanceof protobuf.Namespace ? collectTypeNames(nested) : []),
+  ]);
+
 class ProtobufDecoder {
   constructor() {
-    this.root = protobuf.Root.fromJSON(serviceEnvelopeSchema);
+    this.embeddedRoot = protobuf.Root.fromJSON(serviceEnvelopeSchema);
+    this.root = this.embeddedRoot;
+    // Конверт всегда из встроенной схемы: в ней camelCase имена полей,
+    // на которые рассчитан receiver (rxSnr, hopLimit, requestId)
     this.ServiceEnvelope = this.root.lookupType("ServiceEnvelope");
     this.MeshPacket = this.root.lookupType("MeshPacket");
     this.Data = this.root.lookupType("Data");
 
-    // Create decoder instances for all message types
+    this.schema = {
+      source: "embedded",
+      path: null,
+      version: null,
+      files: 0,
+      loadedAt: Date.now(),
+    };
+    this.buildDecoders(null);
+  }
+
+  /**
+   * Создает декодеры payload. Типы, которых нет в загруженных .proto,
+   * берутся из встроенной схемы
+   * @param {protobuf.Root|null} loadedRoot - Схема из protobufs
+   */
+  buildDecoders(loadedRoot) {
     this.decoders = {};
+    this.decoderSources = {};
+
     Object.values(MESSAGE_DECODERS).forEach(({ decoder }) => {
-      if (decoder && !this.decoders[decoder]) {
-        this.decoders[decoder] = this.root.lookupType(decoder);
+      if (!decoder || this.decoders[decoder]) {
+        return;
       }
+      const loadedType = loadedRoot && findType(loadedRoot, decoder);
+      this.decoders[decoder] =
+        loadedType || this.embeddedRoot.lookupType(decoder);
+      this.decoderSources[decoder] = loadedType ? "protobufs" : "embedded";
     });
   }
 
+  /**
+   * Загружает типы payload из .proto файлов (клон meshtastic/protobufs).
+   * При ошибке остается встроенная схема
+   * @param {string} protobufsPath - Каталог protobufs (с подкаталогом meshtastic)
+   * @returns {boolean} - true, если схема загружена из файлов
+   */
+  loadFromDirectory(protobufsPath) {
+    try {
+      const files = fs
+        .readdirSync(path.join(protobufsPath, "meshtastic"))
+        .filter((file) => file.endsWith(".proto"))
+        .sort()
+        .map((file) => `meshtastic/${file}`);
+
+      if (files.length === 0) {
+        throw new Error("Не найдены .proto файлы");
+      }
+
+      const root = new protobuf.Root();
+      root.resolvePath = (origin, target) => path.join(protobufsPath, target);
+      // keepCase: процессоры и сохраненные данные используют snake_case поля
+      root.loadSync(files, { keepCase: true });
+      root.resolveAll();
+
+      // Версия - отпечаток содержимого .proto файлов
+      const hash = crypto.createHash("sha256");
+      files.forEach((file) => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(protobufsPath, file)));
+      });
+
+      this.root = root;
+      this.buildDecoders(root);
+      this.schema = {
+        source: "protobufs",
+        path: protobufsPath,
+        version: hash.digest("hex").slice(0, 12),
+        files: files.length,
+        loadedAt: Date.now(),
+      };
+      return true;
+    } catch (error) {
+      console.error(
+        "⚠️ [MQTT-Receiver] Не удалось загрузить .proto файлы, используется встроенная схема:",
+        error.message
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Отчет о загруженной схеме: типы сообщений и portnum, которые
+   * декодируются этой версией
+   * @returns {Object} - { source, version, messageTypes, decoders, portnums }
+   */
+  getCapabilities() {
+    let portNames = PortNum;
+    try {
+      portNames = this.root.lookupEnum("PortNum").values;
+    } catch {
+      // Во встроенной схеме нет enum PortNum
+    }
+
+    const portnums = Object.entries(portNames)
+      .filter(([name]) => name !== "MAX")
+      .map(([name, portnum]) => {
+        const config = MESSAGE_DECODERS[portnum];
+        return {
+          portnum,
+          name,
+          decodable: Boolean(config),
+          type: config?.type || null,
+          decoder: config?.decoder || null,
+          // raw - payload разбирается без protobuf (текст, байты)
+          source: config
+            ? config.decoder
+              ? this.decoderSources[config.decoder]
+              : "raw"
+            : null,
+        };
+      });
+
+    return {
+      ...this.schema,
+      messageTypes: collectTypeNames(this.root).sort(),
+      decoders: { ...this.decoderSources },
+      portnums,
+    };
+  }
+
   decodeServiceEnvelope(buffer) {
     try {
       // Проверяем валидность буфера
@@ -713,6 +1664,14 @@ class ProtobufDecoder {
           throw new Error(`Decoder not found for type: ${config.decoder}`);
         }
         decodedData = this.decoders[config.decoder].decode(payload);
+        // Данные не должны менять вид в зависимости от источника схемы
+        if (this.decoderSources[config.decoder] === "protobufs") {
+          decodedData = toEmbeddedShape(
+            decodedData,
+            this.decoders[config.decoder],
+            this.embeddedRoot.lookupType(config.decoder)
+          );
+        }
       } else {
         decodedData = payload;
       }
@@ -787,6 +1746,11 @@ class ProtobufDecoder {
         rxTime: packet.rxTime,
         rxSnr: packet.rxSnr,
         hopLimit: packet.hopLimit,
+        hopStart: packet.hopStart,
+        relayNode: packet.relayNode,
+        nextHop: packet.nextHop,
+        viaMqtt: packet.viaMqtt,
+        priority: packet.priority,
         wantAck: packet.wantAck,
         rxRssi: packet.rxRssi,
         channelId: serviceEnvelope.channelId,
@@ -0,0 +1,267 @@
+import { getPortnumName } from "./utils.mjs";
+
+/**
+ * Пересчитывает токены корзины на текущий момент
+ * @param {Object} bucket - { tokens, updatedAt }
+ * @param {Object} limit - { capacity, refillPerMinute }
+ * @param {number} now - Текущее время (мс)
+ */
+const refillBucket = (bucket, limit, now) => {
+  const elapsed = now - bucket.updatedAt;
+  bucket.tokens = Math.min(
+    limit.capacity,
+    bucket.tokens + (elapsed * limit.refillPerMinute) / 60000
+  );
+  bucket.updatedAt = now;
+};
+
+/**
+ * Ограничение частоты пакетов от нод (token bucket): общий лимит на ноду
+ * и лимиты по portnum. Нода, которая постоянно превышает лимит, временно
+ * попадает в карантин - все ее пакеты отбрасываются.
+ * Состояние корзин в памяти, счетчики отброшенных пакетов - в Redis (throttled:<id>)
+ */
+export class NodeRateLimiter {
+  /**
+   * @param {Object} options - Настройки (mqttReceiverConfig.rateLimit)
+   * @param {boolean} options.enabled - Включено ли ограничение
+   * @param {Object} options.node - Общий лимит ноды { capacity, refillPerMinute }
+   * @param {Object} options.portnums - Лимиты по имени portnum { TEXT_MESSAGE_APP: {...} }
+   * @param {Object} options.quarantine - { violations, windowMs, durationMs }
+   * @param {number} options.idleTimeout - Через сколько забывать неактивную ноду (мс)
+   * @param {number} options.statsFlushInterval - Интервал сохранения счетчиков (мс)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.nodeLimit = options.node || null;
+    this.portnumLimits = options.portnums || {};
+    this.quarantine = {
+      violations: 30,
+      windowMs: 10 * 60 * 1000,
+      durationMs: 30 * 60 * 1000,
+      ...options.quarantine,
+    };
+    this.idleTimeout = options.idleTimeout ?? 30 * 60 * 1000;
+    this.statsFlushInterval = options.statsFlushInterval ?? 30000;
+    this.redisManager = null;
+
+    this.nodes = new Map();
+    this.pendingDrops = new Map();
+    this.statsTimer = null;
+  }
+
+  /**
+   * Подключает Redis и запускает периодическое сохранение счетчиков
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  init(redisManager) {
+    this.redisManager = redisManager;
+
+    if (this.enabled && this.statsFlushInterval > 0) {
+      this.statsTimer = setInterval(
+        () => this.flush(),
+        this.statsFlushInterval
+      );
+    }
+  }
+
+  /**
+   * Проверяет, можно ли обработать пакет ноды
+   * @param {Object} event - Событие (from, data.portnum)
+   * @returns {boolean} - false, если пакет нужно отбросить
+   */
+  allow(event) {
+    if (!this.enabled || event?.from === undefined) {
+      return true;
+    }
+
+    const now = Date.now();
+    const portnumName = getPortnumName(event.data?.portnum) || null;
+    const state = this.getNodeState(event.from, now);
+    state.lastSeenAt = now;
+
+    if (state.quarantinedUntil > now) {
+      this.recordDrop(event.from, state, portnumName, "quarantine", now);
+      return false;
+    }
+
+    const portnumLimit = portnumName && this.portnumLimits[portnumName];
+    const nodeBucket = this.nodeLimit && state.node;
+    const portnumBucket =
+      portnumLimit &&
+      this.getPortnumBucket(state, portnumName, portnumLimit, now);
+
+    if (nodeBucket) {
+      refillBucket(nodeBucket, this.nodeLimit, now);
+    }
+    if (portnumBucket) {
+      refillBucket(portnumBucket, portnumLimit, now);
+    }
+
+    // Токен списывается только если пакет проходит оба лимита
+    const reason =
+      nodeBucket && nodeBucket.tokens < 1
+        ? "node"
+        : portnumBucket && portnumBucket.tokens < 1
+        ? "portnum"
+        : null;
+
+    if (reason) {
+      this.recordDrop(event.from, state, portnumName, reason, now);
+      this.registerViolation(event.from, state, now);
+      return false;
+    }
+
+    if (nodeBucket) {
+      nodeBucket.tokens -= 1;
+    }
+    if (portnumBucket) {
+      portnumBucket.tokens -= 1;
+    }
+    return true;
+  }
+
+  /**
+   * Возвращает (создает) состояние ноды
+   * @param {number} from - ID ноды
+   * @param {number} now - Текущее время (мс)
+   * @returns {Object} - Состояние ноды
+   */
+  getNodeState(from, now) {
+    let state = this.nodes.get(from);
+    if (!state) {
+      state = {
+        node: this.nodeLimit
+          ? { tokens: this.nodeLimit.capacity, updatedAt: now }
+          : null,
+        portnums: {},
+        violations: 0,
+        windowStart: now,
+        quarantinedUntil: 0,
+        lastSeenAt: now,
+      };
+      this.nodes.set(from, state);
+    }
+    return state;
+  }
+
+  /**
+   * Возвращает (создает) корзину portnum ноды
+   * @param {Object} state - Состояние ноды
+   * @param {string} portnumName - Имя portnum
+   * @param {Object} limit - { capacity, refillPerMinute }
+   * @param {number} now - Текущее время (мс)
+   * @returns {Object} - Корзина { tokens, updatedAt }
+   */
+  getPortnumBucket(state, portnumName, limit, now) {
+    if (!state.portnums[portnumName]) {
+      state.portnums[portnumName] = { tokens: limit.capacity, updatedAt: now };
+    }
+    return state.portnums[portnumName];
+  }
+
+  /**
+   * Учитывает превышение лимита и при необходимости отправляет ноду в карантин
+   * @param {number} from - ID ноды
+   * @param {Object} state - Состояние ноды
+   * @param {number} now - Текущее время (мс)
+   */
+  registerViolation(from, state, now) {
+    if (now - state.windowStart > this.quarantine.windowMs) {
+      state.windowStart = now;
+      state.violations = 0;
+    }
+
+    state.violations++;
+    if (state.violations < this.quarantine.violations) {
+      return;
+    }
+
+    state.quarantinedUntil = now + this.quarantine.durationMs;
+    state.violations = 0;
+    state.windowStart = now;
+
+    const pending = this.getPendingDrops(from);
+    pending.quarantinedUntil = state.quarantinedUntil;
+    pending.quarantines++;
+
+    const nodeHex = `!${from.toString(16).padStart(8, "0")}`;
+    const until = new Date(state.quarantinedUntil).toISOString();
+    console.log(
+      `🚦 [MQTT-Receiver] Нода ${nodeHex} превышает лимиты, карантин до ${until}`
+    );
+  }
+
+  /**
+   * Учитывает отброшенный пакет
+   * @param {number} from - ID ноды
+   * @param {Object} state - Состояние ноды
+   * @param {string|null} portnumName - Имя portnum
+   * @param {string} reason - node | portnum | quarantine
+   * @param {number} now - Текущее время (мс)
+   */
+  recordDrop(from, state, portnumName, reason, now) {
+    const pending = this.getPendingDrops(from);
+    pending.dropped++;
+    pending.reasons[reason] = (pending.reasons[reason] || 0) + 1;
+    if (portnumName) {
+      pending.portnums[portnumName] = (pending.portnums[portnumName] || 0) + 1;
+    }
+    pending.lastDropAt = now;
+    pending.quarantinedUntil = state.quarantinedUntil || null;
+  }
+
+  /**
+   * Возвращает накопитель несохраненных счетчиков ноды
+   * @param {number} from - ID ноды
+   * @returns {Object} - { dropped, reasons, portnums, quarantines, lastDropAt, quarantinedUntil }
+   */
+  getPendingDrops(from) {
+    let pending = this.pendingDrops.get(from);
+    if (!pending) {
+      pending = {
+        dropped: 0,
+        reasons: {},
+        portnums: {},
+        quarantines: 0,
+        lastDropAt: null,
+        quarantinedUntil: null,
+      };
+      this.pendingDrops.set(from, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Сохраняет счетчики в Redis и забывает давно неактивные ноды
+   */
+  async flush() {
+    const now = Date.now();
+    for (const [from, state] of this.nodes) {
+      if (
+        state.quarantinedUntil <= now &&
+        now - state.lastSeenAt > this.idleTimeout
+      ) {
+        this.nodes.delete(from);
+      }
+    }
+
+    if (!this.redisManager || this.pendingDrops.size === 0) {
+      return;
+    }
+
+    const pending = Object.fromEntries(this.pendingDrops);
+    this.pendingDrops = new Map();
+    await this.redisManager.incrementThrottleStats(pending);
+  }
+
+  /**
+   * Останавливает периодическое сохранение и сохраняет остаток счетчиков
+   */
+  async stop() {
+    clearInterval(this.statsTimer);
+    await this.flush();
+  }
+}
+
+export default NodeRateLimiter;
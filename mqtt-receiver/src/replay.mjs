@@ -0,0 +1,133 @@
+/**
+ * Воспроизведение захваченного трафика через тот же конвейер обработки,
+ * что и у MQTT Receiver (handleMessage -> дедупликация -> очередь -> Redis).
+ * Telegram всегда отключен, MQTT подключения не создаются.
+ *
+ * Использование:
+ *   npm run replay -- <файл...> [--speed 10|max] [--redis-db 15] [--flush-db]
+ *
+ *   --speed     Ускорение относительно исходных интервалов (по умолчанию 1, max - без пауз)
+ *   --redis-db  Номер базы Redis (рекомендуется отдельная, не рабочая)
+ *   --flush-db  Очистить базу перед воспроизведением (только вместе с --redis-db)
+ */
+
+const USAGE =
+  "Использование: npm run replay -- <файл...> [--speed 10|max] [--redis-db 15] [--flush-db]";
+
+/**
+ * Разбирает аргументы командной строки
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} - { files, speed, redisDb, flushDb }
+ */
+const parseArgs = (args) => {
+  const options = { files: [], speed: 1, redisDb: null, flushDb: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--speed") {
+      const value = args[++i];
+      options.speed = value === "max" ? Infinity : Number(value);
+    } else if (arg === "--redis-db") {
+      options.redisDb = Number(args[++i]);
+    } else if (arg === "--flush-db") {
+      options.flushDb = true;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0) {
+    throw new Error("Не указан файл захвата");
+  }
+  if (!(options.speed > 0)) {
+    throw new Error("--speed должен быть положительным числом или max");
+  }
+  if (options.redisDb !== null && !Number.isInteger(options.redisDb)) {
+    throw new Error("--redis-db должен быть номером базы");
+  }
+  if (options.flushDb && options.redisDb === null) {
+    throw new Error("--flush-db допускается только вместе с --redis-db");
+  }
+
+  return options;
+};
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // Настройки читаются при импорте конфига, поэтому задаем их до импорта
+  process.env.TELEGRAM_ENABLED = "false";
+  if (options.redisDb !== null) {
+    process.env.REDIS_DB = String(options.redisDb);
+  }
+
+  const { servers, botSettings } = await import("../config.mjs");
+  const { default: MqttReceiver } = await import("./index.mjs");
+  const { readCaptureFile } = await import("./trafficCapture.mjs");
+
+  botSettings.ENABLE = false;
+
+  const receiver = new MqttReceiver();
+  // Replay обрабатывает события сразу, без потока Redis Streams
+  receiver.durableQueue.enabled = false;
+  // Корзины rate limiter'а пополняются по реальному времени - при ускоренном
+  // replay ноды попадали бы в карантин, а счетчики - в целевую базу
+  receiver.rateLimiter.enabled = false;
+
+  await receiver.initPipeline({
+    redis: options.redisDb !== null ? { db: options.redisDb } : {},
+  });
+
+  if (options.flushDb) {
+    await receiver.redisManager.redis.flushdb();
+    console.log(`🧹 [Replay] База Redis ${options.redisDb} очищена`);
+  }
+
+  const serversByName = new Map(servers.map((server) => [server.name, server]));
+  let replayed = 0;
+  const startedAt = Date.now();
+
+  for (const file of options.files) {
+    console.log(`▶️ [Replay] ${file}`);
+    let previousReceivedAt = null;
+
+    for await (const record of readCaptureFile(file)) {
+      if (previousReceivedAt !== null && options.speed !== Infinity) {
+        const delay = (record.receivedAt - previousReceivedAt) / options.speed;
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+      previousReceivedAt = record.receivedAt;
+
+      const server = serversByName.get(record.server) || {
+        name: record.server,
+      };
+      receiver.handleMessage(server, record.topic, record.payload);
+      replayed++;
+    }
+  }
+
+  // Даем завершиться асинхронным обработчикам (meshcore, PKI)
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  // disconnect дожидается окна дедупликации и очереди
+  await receiver.disconnect();
+
+  console.log(
+    `✅ [Replay] Воспроизведено сообщений: ${replayed} за ${Math.round(
+      (Date.now() - startedAt) / 1000
+    )}с`
+  );
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ [Replay] Ошибка воспроизведения:", error.message);
+  process.exit(1);
+});
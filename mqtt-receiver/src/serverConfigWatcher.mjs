@@ -0,0 +1,141 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const CONFIG_URL = new URL("../config.mjs", import.meta.url);
+
+/**
+ * Следит за списком MQTT серверов и сообщает об изменениях.
+ * Источники: Redis ключ config:mqtt_servers (JSON массив, имеет приоритет)
+ * и файл config.mjs (export servers), который перечитывается при изменении mtime
+ */
+export class ServerConfigWatcher {
+  /**
+   * @param {Object} options - Настройки
+   * @param {Array} options.initialServers - Список серверов при запуске
+   * @param {number} options.pollInterval - Интервал проверки файла и Redis (мс)
+   * @param {string} options.redisKey - Redis ключ со списком серверов
+   * @param {Function} options.onChange - async (servers, source) => void
+   */
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval ?? 5000;
+    this.redisKey = options.redisKey || "config:mqtt_servers";
+    this.onChange = options.onChange;
+    this.configPath = fileURLToPath(CONFIG_URL);
+
+    this.redisManager = null;
+    this.currentSignature = JSON.stringify(options.initialServers || []);
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Запускает отслеживание файла и Redis ключа
+   * @param {RedisManager} redisManager - Redis Manager
+   */
+  start(redisManager) {
+    this.redisManager = redisManager;
+    this.timer = setInterval(() => this.check(), this.pollInterval);
+
+    console.log(
+      `👀 [MQTT-Receiver] Отслеживание списка серверов: ${this.configPath}, Redis ${this.redisKey}`
+    );
+  }
+
+  /**
+   * Загружает актуальный список серверов
+   * @returns {Promise<Object>} - { servers, source }
+   */
+  async loadServers() {
+    const redisServers = await this.redisManager.getMqttServersOverride(
+      this.redisKey
+    );
+    if (redisServers) {
+      let servers;
+      try {
+        servers = JSON.parse(redisServers);
+      } catch {
+        servers = redisServers; // validate() отклонит строку
+      }
+      return { servers, source: `Redis ${this.redisKey}` };
+    }
+
+    // Параметр в URL обходит кэш ESM модулей
+    const { mtimeMs } = fs.statSync(this.configPath);
+    const { servers } = await import(`${CONFIG_URL.href}?t=${mtimeMs}`);
+    return { servers, source: "config.mjs" };
+  }
+
+  /**
+   * Проверяет список серверов и вызывает onChange при изменении
+   */
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+    try {
+      const { servers, source } = await this.loadServers();
+      const signature = JSON.stringify(servers);
+
+      if (signature === this.currentSignature) {
+        return;
+      }
+
+      const error = this.validate(servers);
+      if (error) {
+        console.error(
+          `❌ [MQTT-Receiver] Список серверов из ${source} не применен: ${error}`
+        );
+        this.currentSignature = signature; // Не повторяем ошибку до следующего изменения
+        return;
+      }
+
+      this.currentSignature = signature;
+      console.log(
+        `🔁 [MQTT-Receiver] Список серверов изменен (${source}), применяем...`
+      );
+      await this.onChange(servers, source);
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка перечитывания списка серверов:",
+        error.message
+      );
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Проверяет корректность списка серверов
+   * @param {Array} servers - Список серверов
+   * @returns {string|null} - Описание ошибки или null
+   */
+  validate(servers) {
+    if (!Array.isArray(servers)) {
+      return "servers должен быть массивом";
+    }
+
+    const names = new Set();
+    for (const server of servers) {
+      if (!server?.name || !server?.address) {
+        return "у каждого сервера должны быть name и address";
+      }
+      if (names.has(server.name)) {
+        return `повторяющееся имя сервера ${server.name}`;
+      }
+      names.add(server.name);
+    }
+
+    return null;
+  }
+
+  /**
+   * Останавливает отслеживание
+   */
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+export default ServerConfigWatcher;
@@ -1,18 +1,57 @@
+// Полосы приоритета в порядке обработки
+const LANES = ["high", "normal", "low"];
+
+// Политики переполнения очереди
+const DROP_POLICIES = ["drop-oldest", "drop-low-priority", "drop-new"];
+
 /**
  * Асинхронная очередь для обработки MQTT сообщений
- * Позволяет обрабатывать сообщения параллельно без блокировки event loop
+ * Позволяет обрабатывать сообщения параллельно без блокировки event loop.
+ * Длина очереди ограничена: при переполнении сообщения отбрасываются по
+ * выбранной политике, сообщения из полосы high обрабатываются первыми
  */
 export class MessageQueue {
+  /**
+   * @param {Object} options - Настройки
+   * @param {number} options.concurrency - Количество параллельных обработчиков
+   * @param {number} options.maxLength - Максимальная длина очереди (все полосы)
+   * @param {string} options.dropPolicy - drop-oldest | drop-low-priority | drop-new
+   * @param {number} options.highWatermark - Доля maxLength, при которой включается backpressure
+   * @param {number} options.lowWatermark - Доля maxLength, при которой backpressure снимается
+   * @param {Function} options.onBackpressure - Вызывается при смене состояния (active, stats)
+   */
   constructor(options = {}) {
     this.concurrency = options.concurrency || 10; // Количество параллельных обработчиков
-    this.queue = [];
+    this.maxLength = options.maxLength || 10000;
+    this.dropPolicy = DROP_POLICIES.includes(options.dropPolicy)
+      ? options.dropPolicy
+      : "drop-oldest";
+    this.highWatermark = Math.ceil(
+      this.maxLength * (options.highWatermark ?? 0.8)
+    );
+    this.lowWatermark = Math.floor(
+      this.maxLength * (options.lowWatermark ?? 0.5)
+    );
+    this.onBackpressure = options.onBackpressure || null;
+
+    this.lanes = Object.fromEntries(LANES.map((lane) => [lane, []]));
+    this.length = 0;
+    this.sequence = 0; // Порядковый номер для выбора самого старого сообщения
+    this.backpressure = false;
     this.processing = new Set();
     this.handlers = new Map();
     this.stats = {
       processed: 0,
       failed: 0,
       queued: 0,
+      dropped: 0,
     };
+    this.laneStats = Object.fromEntries(
+      LANES.map((lane) => [
+        lane,
+        { queued: 0, dropped: 0, started: 0, totalLatency: 0, maxLatency: 0 },
+      ])
+    );
   }
 
   /**
@@ -23,35 +62,158 @@ export class MessageQueue {
   }
 
   /**
-   * Добавляет сообщение в очередь
+   * Добавляет сообщение в очередь.
+   * Отброшенное сообщение завершается ошибкой с code = "QUEUE_DROPPED"
+   * @param {string} messageType - Тип сообщения (обработчик)
+   * @param {*} data - Данные
+   * @param {Object} options - { priority: "high" | "normal" | "low" }
    */
-  async enqueue(messageType, data) {
+  async enqueue(messageType, data, options = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({
+      const item = {
         messageType,
         data,
+        lane: LANES.includes(options.priority) ? options.priority : "normal",
         resolve,
         reject,
         timestamp: Date.now(),
-      });
+        sequence: this.sequence++,
+      };
+
       this.stats.queued++;
+      this.laneStats[item.lane].queued++;
+
+      if (this.length >= this.maxLength) {
+        const victim = this._selectVictim(item);
+        if (victim === item) {
+          this._drop(item);
+          return;
+        }
+        this._removeFromLane(victim);
+        this._drop(victim);
+      }
+
+      this.lanes[item.lane].push(item);
+      this.length++;
+      this._updateBackpressure();
       this._process();
     });
   }
 
+  /**
+   * Выбирает сообщение для удаления при переполнении
+   * @param {Object} incoming - Новое сообщение
+   * @returns {Object} - Удаляемое сообщение (может быть само incoming)
+   */
+  _selectVictim(incoming) {
+    if (this.dropPolicy === "drop-new") {
+      return incoming;
+    }
+
+    if (this.dropPolicy === "drop-low-priority") {
+      // Самое старое сообщение из самой низкой полосы, не выше новой
+      const incomingRank = LANES.indexOf(incoming.lane);
+      for (let rank = LANES.length - 1; rank >= incomingRank; rank--) {
+        const lane = this.lanes[LANES[rank]];
+        if (lane.length > 0) {
+          return lane[0];
+        }
+      }
+      return incoming;
+    }
+
+    // drop-oldest: самое старое сообщение среди голов всех полос
+    return LANES.map((lane) => this.lanes[lane][0])
+      .filter(Boolean)
+      .reduce((oldest, item) =>
+        item.sequence < oldest.sequence ? item : oldest
+      );
+  }
+
+  /**
+   * Удаляет сообщение из его полосы
+   */
+  _removeFromLane(item) {
+    const lane = this.lanes[item.lane];
+    const index = lane.indexOf(item);
+    if (index !== -1) {
+      lane.splice(index, 1);
+      this.length--;
+    }
+  }
+
+  /**
+   * Отбрасывает сообщение
+   */
+  _drop(item) {
+    this.stats.dropped++;
+    this.laneStats[item.lane].dropped++;
+
+    const error = new Error(`Message dropped (queue full, ${item.lane} lane)`);
+    error.code = "QUEUE_DROPPED";
+    item.reject(error);
+  }
+
+  /**
+   * Включает/выключает backpressure по порогам заполнения
+   */
+  _updateBackpressure() {
+    const active = this.backpressure
+      ? this.length > this.lowWatermark
+      : this.length >= this.highWatermark;
+
+    if (active === this.backpressure) {
+      return;
+    }
+
+    this.backpressure = active;
+    if (this.onBackpressure) {
+      try {
+        this.onBackpressure(active, this.getStats());
+      } catch (error) {
+        console.error(
+          "[MessageQueue] Error in backpressure callback:",
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Берет следующее сообщение с учетом приоритета полос
+   */
+  _shift() {
+    for (const lane of LANES) {
+      if (this.lanes[lane].length > 0) {
+        this.length--;
+        return this.lanes[lane].shift();
+      }
+    }
+    return null;
+  }
+
   /**
    * Обрабатывает очередь сообщений
    */
   async _process() {
     // Если уже обрабатываем максимальное количество или очередь пуста
-    if (this.processing.size >= this.concurrency || this.queue.length === 0) {
+    if (this.processing.size >= this.concurrency || this.length === 0) {
       return;
     }
 
     // Берем следующее сообщение из очереди
-    const item = this.queue.shift();
+    const item = this._shift();
     if (!item) return;
 
+    this._updateBackpressure();
+
+    // Время ожидания в очереди
+    const latency = Date.now() - item.timestamp;
+    const laneStats = this.laneStats[item.lane];
+    laneStats.started++;
+    laneStats.totalLatency += latency;
+    laneStats.maxLatency = Math.max(laneStats.maxLatency, latency);
+
     this.processing.add(item);
 
     // Обрабатываем асинхронно
@@ -93,8 +255,27 @@ export class MessageQueue {
   getStats() {
     return {
       ...this.stats,
-      queueLength: this.queue.length,
+      queueLength: this.length,
+      maxLength: this.maxLength,
+      dropPolicy: this.dropPolicy,
+      backpressure: this.backpressure,
       processing: this.processing.size,
+      lanes: Object.fromEntries(
+        LANES.map((lane) => {
+          const { queued, dropped, started, totalLatency, maxLatency } =
+            this.laneStats[lane];
+          return [
+            lane,
+            {
+              length: this.lanes[lane].length,
+              queued,
+              dropped,
+              avgLatencyMs: started > 0 ? Math.round(totalLatency / started) : 0,
+              maxLatencyMs: maxLatency,
+            },
+          ];
+        })
+      ),
     };
   }
 
@@ -102,14 +283,16 @@ export class MessageQueue {
    * Очищает очередь
    */
   clear() {
-    this.queue = [];
+    this.lanes = Object.fromEntries(LANES.map((lane) => [lane, []]));
+    this.length = 0;
+    this._updateBackpressure();
   }
 
   /**
    * Ожидает завершения обработки всех сообщений
    */
   async drain() {
-    while (this.queue.length > 0 || this.processing.size > 0) {
+    while (this.length > 0 || this.processing.size > 0) {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
   }
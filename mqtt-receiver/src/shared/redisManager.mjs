@@ -1,9 +1,22 @@
 import Redis from "ioredis";
-import { executeRedisPipeline, CONSTANTS, getPortnumName } from "../utils.mjs";
+import {
+  executeRedisPipeline,
+  CONSTANTS,
+  getPortnumName,
+  applyGatewayStaleness,
+} from "../utils.mjs";
 import { isValidUserName } from "./validators.mjs";
 
-const { MAX_METADATA_ITEMS_COUNT, DEVICE_EXPIRY_TIME, MAX_PORTNUM_MESSAGES } =
-  CONSTANTS;
+const {
+  MAX_METADATA_ITEMS_COUNT,
+  DEVICE_EXPIRY_TIME,
+  MAX_PORTNUM_MESSAGES,
+  DOWNLINK_QUEUE_LIMIT,
+  EVENT_STREAM_KEY,
+  EVENT_STREAM_GROUP,
+  EVENT_DEAD_LETTER_KEY,
+  STORED_PORTNUM_NAMES,
+} = CONSTANTS;
 
 /**
  * Общий оптимизированный Redis Manager для обоих сервисов
@@ -104,8 +117,10 @@ export class RedisManager {
 
   /**
    * Сохраняет сообщение по portnum
+   * @param {Object} options - { skipDuplicateCheck } - пропустить проверку дубликатов
+   * (пакет уже прошел дедупликацию по from + id)
    */
-  async savePortnumMessage(portnum, deviceId, messageData) {
+  async savePortnumMessage(portnum, deviceId, messageData, options = {}) {
     try {
       const portnumName = getPortnumName(portnum);
       if (!portnumName) {
@@ -119,11 +134,9 @@ export class RedisManager {
       };
 
       // Проверяем на дубликаты за последние 3 секунды
-      const isDuplicate = await this.isDuplicateMessage(
-        key,
-        messageWithTimestamp,
-        3000
-      );
+      const isDuplicate =
+        !options.skipDuplicateCheck &&
+        (await this.isDuplicateMessage(key, messageWithTimestamp, 3000));
       if (isDuplicate) {
         return; // Пропускаем дубликат
       }
@@ -144,7 +157,7 @@ export class RedisManager {
   /**
    * Оптимизированная проверка изменений данных
    */
-  _hasDataChanges(existingData, updateData, timeDiff) {
+  _hasDataChanges(existingData, updateData, timeDiff, options = {}) {
     // Ранний выход: если прошло больше 3 секунд, всегда обновляем
     if (timeDiff >= 3000) {
       return true;
@@ -187,6 +200,24 @@ export class RedisManager {
       }
     }
 
+    // Узел услышан по радио впервые или другим шлюзом
+    if (
+      options?.gatewayId &&
+      !options.mqttRelayed &&
+      options.gatewayId !== existingData.rfGateway
+    ) {
+      return true;
+    }
+
+    // Проверяем флаг Store & Forward роутера
+    if (
+      updateData.storeForward !== undefined &&
+      (updateData.storeForward ? "1" : "0") !==
+        (existingData.storeForward || "0")
+    ) {
+      return true;
+    }
+
     return false;
   }
 
@@ -208,7 +239,9 @@ export class RedisManager {
         const timeDiff = currentTime - lastUpdateTime;
 
         if (timeDiff >= 0 && timeDiff < 3000) {
-          if (!this._hasDataChanges(existingData, updateData, timeDiff)) {
+          if (
+            !this._hasDataChanges(existingData, updateData, timeDiff, options)
+          ) {
             return; // Нет изменений, пропускаем запись
           }
         }
@@ -245,8 +278,27 @@ export class RedisManager {
         }
       }
 
-      // MQTT флаг
-      if (options?.gatewayId && options?.rawDataId) {
+      // Флаг Store & Forward роутера
+      if (updateData.storeForward !== undefined) {
+        fieldsToUpdate.storeForward = updateData.storeForward ? "1" : "0";
+      }
+
+      // Как узел был услышан: шлюзом по радио или только через MQTT
+      // (via_mqtt, мост брокеров). Прием по радио действует DEVICE_EXPIRY_TIME
+      if (options?.gatewayId) {
+        if (!options.mqttRelayed) {
+          fieldsToUpdate.heardVia = "rf";
+          fieldsToUpdate.rfGateway = options.gatewayId;
+          fieldsToUpdate.rfTime = currentTime;
+        } else if (
+          !(currentTime - Number(existingData.rfTime) < DEVICE_EXPIRY_TIME)
+        ) {
+          fieldsToUpdate.heardVia = "mqtt";
+        }
+      }
+
+      // MQTT флаг (ретранслированный пакет не говорит, что узел - шлюз)
+      if (options?.gatewayId && options?.rawDataId && !options.mqttRelayed) {
         fieldsToUpdate.mqtt =
           options.gatewayId === options.rawDataId ? "1" : "0";
       }
@@ -307,6 +359,10 @@ export class RedisManager {
       "longitude",
       "latitude",
       "mqtt",
+      "storeForward",
+      "heardVia",
+      "rfGateway",
+      "rfTime",
     ];
 
     // Оптимизированная фильтрация с ранним выходом
@@ -357,6 +413,14 @@ export class RedisManager {
       latitude: filteredData.latitude || 0,
       mqtt: filteredData.mqtt || "",
       s_time: currentTime,
+      ...(filteredData.storeForward !== undefined && {
+        storeForward: String(filteredData.storeForward),
+      }),
+      ...(filteredData.heardVia && { heardVia: filteredData.heardVia }),
+      ...(filteredData.rfGateway && {
+        rfGateway: filteredData.rfGateway,
+        rfTime: String(filteredData.rfTime),
+      }),
     };
   }
 
@@ -526,18 +590,8 @@ export class RedisManager {
   async getPortnumStats() {
     try {
       const stats = {};
-      const portnumNames = [
-        "TEXT_MESSAGE_APP",
-        "POSITION_APP",
-        "NODEINFO_APP",
-        "TELEMETRY_APP",
-        "NEIGHBORINFO_APP",
-        "WAYPOINT_APP",
-        "MAP_REPORT_APP",
-        "TRACEROUTE_APP",
-      ];
 
-      for (const portnumName of portnumNames) {
+      for (const portnumName of STORED_PORTNUM_NAMES) {
         const pattern = `${portnumName}:*`;
         const keys = await this._scanKeys(pattern);
 
@@ -586,14 +640,7 @@ export class RedisManager {
       }
 
       const keyPatterns = [
-        `TEXT_MESSAGE_APP:${numericId}`,
-        `POSITION_APP:${numericId}`,
-        `NODEINFO_APP:${numericId}`,
-        `TELEMETRY_APP:${numericId}`,
-        `NEIGHBORINFO_APP:${numericId}`,
-        `WAYPOINT_APP:${numericId}`,
-        `MAP_REPORT_APP:${numericId}`,
-        `TRACEROUTE_APP:${numericId}`,
+        ...STORED_PORTNUM_NAMES.map((name) => `${name}:${numericId}`),
         `dots:${numericId}`,
       ];
 
@@ -676,6 +723,10 @@ export class RedisManager {
       latitude: parsedData.latitude || 0,
       s_time: parsedData.s_time || 0,
       mqtt: parsedData.mqtt || "",
+      storeForward: parsedData.storeForward,
+      heardVia: parsedData.heardVia,
+      rfGateway: parsedData.rfGateway,
+      rfTime: parsedData.rfTime,
     };
 
     return this._filterDotData(normalizedData, parsedData.s_time || 0);
@@ -895,7 +946,10 @@ export class RedisManager {
           "longitude",
           "latitude",
           "s_time",
-          "mqtt"
+          "mqtt",
+          "storeForward",
+          "heardVia",
+          "rfGateway"
         );
       });
 
@@ -940,7 +994,17 @@ export class RedisManager {
           continue;
         }
 
-        const [longName, shortName, longitude, latitude, s_time, mqtt] = values;
+        const [
+          longName,
+          shortName,
+          longitude,
+          latitude,
+          s_time,
+          mqtt,
+          storeForward,
+          heardVia,
+          rfGateway,
+        ] = values;
         if (longitude && latitude) {
           optimizedDots[deviceIds[i]] = {
             longName: longName || "",
@@ -949,6 +1013,9 @@ export class RedisManager {
             latitude: parseFloat(latitude),
             s_time: s_time ? parseInt(s_time) : 0,
             mqtt: mqtt || "",
+            ...(storeForward === "1" && { storeForward: true }),
+            ...(heardVia && { heardVia }),
+            ...(rfGateway && { rfGateway }),
           };
         }
       }
@@ -984,7 +1051,13 @@ export class RedisManager {
 
       const pipeline = this.redis.pipeline();
       deviceIds.forEach((deviceId) => {
-        pipeline.hmget(`dots:${deviceId}`, "longitude", "latitude", "s_time");
+        pipeline.hmget(
+          `dots:${deviceId}`,
+          "longitude",
+          "latitude",
+          "s_time",
+          "heardVia"
+        );
       });
 
       // Выполняем pipeline с обработкой таймаутов
@@ -1028,12 +1101,13 @@ export class RedisManager {
           continue;
         }
 
-        const [longitude, latitude, s_time] = values;
+        const [longitude, latitude, s_time, heardVia] = values;
         if (longitude && latitude) {
           mapData[deviceIds[i]] = {
             lon: parseFloat(longitude),
             lat: parseFloat(latitude),
             t: s_time ? parseInt(s_time) : 0,
+            ...(heardVia && { via: heardVia }),
           };
         }
       }
@@ -1181,6 +1255,1051 @@ export class RedisManager {
     }
   }
 
+  // ========== КЛЮЧИ КАНАЛОВ ==========
+
+  /**
+   * Возвращает ключи каналов, добавленные через Redis (hash channel_keys: имя -> PSK в base64)
+   * @returns {Promise<Object>} - Объект { имяКанала: psk }
+   */
+  async getChannelKeys() {
+    try {
+      return (await this.redis.hgetall("channel_keys")) || {};
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting channel keys:`,
+        error.message
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Накапливает статистику расшифровки по каналам
+   * @param {Object} stats - { имяКанала: { keyName, decrypted, failed, lastSeen } }
+   */
+  async incrementChannelKeyStats(stats) {
+    try {
+      const entries = Object.entries(stats);
+      if (entries.length === 0) {
+        return;
+      }
+
+      const pipeline = this.redis.pipeline();
+      entries.forEach(([channelName, channelStats]) => {
+        const key = `channel_keys:stats:${channelName}`;
+        pipeline.sadd("channel_keys:stats", channelName);
+        pipeline.hincrby(key, "decrypted", channelStats.decrypted || 0);
+        pipeline.hincrby(key, "failed", channelStats.failed || 0);
+        pipeline.hset(key, "keyName", channelStats.keyName || "");
+        if (channelStats.lastSeen) {
+          pipeline.hset(key, "lastSeen", channelStats.lastSeen);
+        }
+      });
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving channel key stats:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает статистику расшифровки по каналам
+   * @returns {Promise<Array>} - Массив { channel, keyName, decrypted, failed, lastSeen }
+   */
+  async getChannelKeyStats() {
+    try {
+      const channels = await this.redis.smembers("channel_keys:stats");
+      if (channels.length === 0) {
+        return [];
+      }
+
+      const pipeline = this.redis.pipeline();
+      channels.forEach((channel) =>
+        pipeline.hgetall(`channel_keys:stats:${channel}`)
+      );
+      const results = await pipeline.exec();
+
+      return channels
+        .map((channel, index) => {
+          const [err, data] = results[index];
+          if (err || !data) {
+            return null;
+          }
+          return {
+            channel,
+            keyName: data.keyName || null,
+            decrypted: parseInt(data.decrypted) || 0,
+            failed: parseInt(data.failed) || 0,
+            lastSeen: data.lastSeen ? parseInt(data.lastSeen) : null,
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.decrypted - a.decrypted);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting channel key stats:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  // ========== PKI КЛЮЧИ ==========
+
+  /**
+   * Сохраняет публичный ключ ноды (из NODEINFO) для расшифровки PKI сообщений
+   * @param {number} deviceId - ID устройства
+   * @param {string} publicKeyHex - Публичный ключ в hex
+   */
+  async saveNodePublicKey(deviceId, publicKeyHex) {
+    try {
+      await this.redis.hset("node_public_keys", String(deviceId), publicKeyHex);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving public key for ${deviceId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает публичный ключ ноды
+   * @param {number} deviceId - ID устройства
+   * @returns {Promise<string|null>} - Публичный ключ в hex или null
+   */
+  async getNodePublicKey(deviceId) {
+    try {
+      return await this.redis.hget("node_public_keys", String(deviceId));
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting public key for ${deviceId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // ========== ОТПРАВКА В СЕТЬ (DOWNLINK) ==========
+
+  /**
+   * Ставит запрос на отправку сообщения в очередь для MQTT Receiver
+   * @param {Object} request - Запрос { requestId, text, channel, region, server, ... }
+   * @returns {Promise<boolean>} - false, если очередь заполнена и запрос не принят
+   */
+  async enqueueDownlinkRequest(request) {
+    const raw = JSON.stringify(request);
+    const length = await this.redis.lpush("downlink:queue", raw);
+
+    // Переполнение: убираем только свой запрос, чужие остаются в очереди
+    if (length > DOWNLINK_QUEUE_LIMIT) {
+      await this.redis.lrem("downlink:queue", 1, raw);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Забирает самый старый запрос на отправку
+   * @returns {Promise<Object|null>} - Запрос или null если очередь пуста
+   */
+  async popDownlinkRequest() {
+    try {
+      const raw = await this.redis.rpop("downlink:queue");
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error reading downlink queue:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Добавляет запись в журнал отправленных сообщений
+   * @param {Object} entry - Запись журнала
+   */
+  async saveDownlinkAudit(entry) {
+    try {
+      const pipeline = this.redis.pipeline();
+      pipeline.lpush(
+        "downlink:audit",
+        JSON.stringify({ timestamp: Date.now(), ...entry })
+      );
+      pipeline.ltrim("downlink:audit", 0, 999);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving downlink audit:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает журнал отправленных сообщений (новые первыми)
+   * @param {number} limit - Количество записей
+   * @returns {Promise<Array>} - Записи журнала
+   */
+  async getDownlinkAudit(limit = 100) {
+    try {
+      const entries = await this.redis.lrange("downlink:audit", 0, limit - 1);
+      return entries
+        .map((entry) => {
+          try {
+            return JSON.parse(entry);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting downlink audit:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Помечает пакет как обработанный (SET NX), общий для всех экземпляров receiver'а
+   * @param {string} packetKey - Ключ пакета "<from>:<id>"
+   * @param {number} ttlMs - Время жизни отметки (мс)
+   * @returns {Promise<boolean>} - true если пакет ранее не обрабатывался
+   */
+  async claimPacket(packetKey, ttlMs) {
+    try {
+      const result = await this.redis.set(
+        `seen:${packetKey}`,
+        Date.now(),
+        "PX",
+        ttlMs,
+        "NX"
+      );
+      return result === "OK";
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error claiming packet:`,
+        error.message
+      );
+      // При недоступности Redis обрабатываем пакет, чтобы не потерять данные
+      return true;
+    }
+  }
+
+  /**
+   * Сохраняет прием копии пакета, пришедшей после его обработки
+   * @param {number} deviceId - ID отправителя
+   * @param {number} packetId - ID пакета
+   * @param {Object} reception - { gatewayId, rxRssi, rxSnr, hopLimit, server, topic, timestamp }
+   */
+  async savePacketReception(deviceId, packetId, reception) {
+    try {
+      const key = `receptions:${deviceId}:${packetId}`;
+      const pipeline = this.redis.pipeline();
+      pipeline.rpush(key, JSON.stringify(reception));
+      pipeline.ltrim(key, -100, -1);
+      pipeline.expire(key, 24 * 60 * 60);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving packet reception:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает поздние приемы копий пакета
+   * @param {number} deviceId - ID отправителя
+   * @param {number} packetId - ID пакета
+   * @returns {Promise<Array>} - Приемы
+   */
+  async getPacketReceptions(deviceId, packetId) {
+    try {
+      const entries = await this.redis.lrange(
+        `receptions:${deviceId}:${packetId}`,
+        0,
+        -1
+      );
+      return entries
+        .map((entry) => {
+          try {
+            return JSON.parse(entry);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting packet receptions:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Возвращает события из dead-letter потока надежной очереди (новые первыми)
+   * @param {number} limit - Количество записей
+   * @returns {Promise<Array>} - [{ id, originalId, deliveries, error, failedAt, event }]
+   */
+  async getDeadLetterEvents(limit = 50) {
+    try {
+      const entries = await this.redis.xrevrange(
+        EVENT_DEAD_LETTER_KEY,
+        "+",
+        "-",
+        "COUNT",
+        limit
+      );
+
+      return entries.map(([id, fields]) => {
+        const data = {};
+        for (let i = 0; i < fields.length; i += 2) {
+          data[fields[i]] = fields[i + 1];
+        }
+
+        let event = null;
+        try {
+          event = JSON.parse(data.event);
+        } catch {
+          event = data.event;
+        }
+
+        return {
+          id,
+          originalId: data.originalId,
+          deliveries: Number(data.deliveries),
+          error: data.error,
+          failedAt: Number(data.failedAt),
+          event,
+        };
+      });
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting dead-letter events:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Возвращает событие из dead-letter потока в основной поток для повторной обработки
+   * @param {string} id - ID записи в dead-letter потоке
+   * @returns {Promise<boolean>} - true если событие найдено
+   */
+  async requeueDeadLetterEvent(id) {
+    const [entry] = await this.redis.xrange(EVENT_DEAD_LETTER_KEY, id, id);
+    if (!entry) {
+      return false;
+    }
+
+    const eventIndex = entry[1].indexOf("event");
+    const pipeline = this.redis.pipeline();
+    pipeline.xadd(
+      EVENT_STREAM_KEY,
+      "*",
+      "event",
+      entry[1][eventIndex + 1],
+      "enqueuedAt",
+      Date.now()
+    );
+    pipeline.xdel(EVENT_DEAD_LETTER_KEY, id);
+    await pipeline.exec();
+    return true;
+  }
+
+  /**
+   * Удаляет событие из dead-letter потока
+   * @param {string} id - ID записи
+   * @returns {Promise<boolean>} - true если событие было удалено
+   */
+  async deleteDeadLetterEvent(id) {
+    return (await this.redis.xdel(EVENT_DEAD_LETTER_KEY, id)) > 0;
+  }
+
+  /**
+   * Возвращает состояние надежной очереди: длина потоков и число неподтвержденных событий
+   * @returns {Promise<Object>} - { streamLength, pending, deadLetterLength }
+   */
+  async getEventStreamInfo() {
+    try {
+      const [streamLength, deadLetterLength] = await Promise.all([
+        this.redis.xlen(EVENT_STREAM_KEY),
+        this.redis.xlen(EVENT_DEAD_LETTER_KEY),
+      ]);
+
+      let pending = 0;
+      if (streamLength > 0) {
+        try {
+          [pending] = await this.redis.xpending(
+            EVENT_STREAM_KEY,
+            EVENT_STREAM_GROUP
+          );
+        } catch {
+          pending = 0; // Группа еще не создана
+        }
+      }
+
+      return { streamLength, pending, deadLetterLength };
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting event stream info:`,
+        error.message
+      );
+      return { streamLength: 0, pending: 0, deadLetterLength: 0 };
+    }
+  }
+
+  /**
+   * Возвращает список MQTT серверов, заданный в Redis (перекрывает config.mjs)
+   * @param {string} key - Redis ключ (JSON массив серверов)
+   * @returns {Promise<string|null>} - JSON списка серверов или null, если ключ не задан
+   */
+  async getMqttServersOverride(key = "config:mqtt_servers") {
+    return await this.redis.get(key);
+  }
+
+  // ========== RANGE TEST ==========
+
+  /**
+   * Сохраняет точку теста дальности (один прием пакета Range Test шлюзом)
+   * @param {number} deviceId - ID отправителя
+   * @param {Object} point - { timestamp, seq, sender, gatewayId, receiver, rxRssi, rxSnr, distance, ... }
+   */
+  async saveRangeTestPoint(deviceId, point) {
+    try {
+      const key = `range_test:${deviceId}`;
+      const pipeline = this.redis.pipeline();
+      pipeline.rpush(key, JSON.stringify(point));
+      pipeline.ltrim(key, -1000, -1);
+      pipeline.expire(key, 30 * 24 * 60 * 60);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving range test point:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает точки теста дальности
+   * @param {string|null} deviceId - ID отправителя (null - все отправители)
+   * @returns {Promise<Array>} - Точки в порядке получения
+   */
+  async getRangeTestPoints(deviceId = null) {
+    try {
+      const keys = deviceId
+        ? [`range_test:${deviceId}`]
+        : await this._scanKeys("range_test:*");
+
+      if (keys.length === 0) {
+        return [];
+      }
+
+      const operations = keys.map((key) => ({
+        command: "lrange",
+        args: [key, 0, -1],
+      }));
+      const results = await executeRedisPipeline(this.redis, operations);
+
+      return results
+        .flat()
+        .map((entry) => {
+          try {
+            return JSON.parse(entry);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting range test points:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  // ========== STORE & FORWARD ==========
+
+  /**
+   * Сохраняет последнее состояние роутера Store & Forward
+   * @param {number} deviceId - ID роутера
+   * @param {Object} update - { rr, stats, heartbeat, history } (отсутствующие поля не меняются)
+   */
+  async saveStoreForwardRouter(deviceId, update) {
+    try {
+      const fields = { lastSeen: Date.now(), rr: update.rr };
+      ["stats", "heartbeat", "history"].forEach((field) => {
+        if (update[field]) {
+          fields[field] = JSON.stringify({
+            ...update[field],
+            updatedAt: Date.now(),
+          });
+        }
+      });
+
+      const pipeline = this.redis.pipeline();
+      pipeline.hset(`store_forward:${deviceId}`, fields);
+      pipeline.sadd("store_forward:routers", deviceId);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving store & forward router:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает состояние роутеров Store & Forward
+   * @param {string|null} deviceId - ID роутера (null - все роутеры)
+   * @returns {Promise<Array>} - [{ deviceId, lastSeen, rr, stats, heartbeat, history }]
+   */
+  async getStoreForwardRouters(deviceId = null) {
+    try {
+      const deviceIds = deviceId
+        ? [String(deviceId)]
+        : await this.redis.smembers("store_forward:routers");
+
+      if (deviceIds.length === 0) {
+        return [];
+      }
+
+      const operations = deviceIds.map((id) => ({
+        command: "hgetall",
+        args: [`store_forward:${id}`],
+      }));
+      const results = await executeRedisPipeline(this.redis, operations);
+
+      return results
+        .map((data, index) => {
+          if (!data || Object.keys(data).length === 0) {
+            return null;
+          }
+
+          const router = { deviceId: deviceIds[index] };
+          for (const [key, value] of Object.entries(data)) {
+            try {
+              router[key] = JSON.parse(value);
+            } catch {
+              router[key] = value;
+            }
+          }
+          return router;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.lastSeen - a.lastSeen);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting store & forward routers:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  // ========== ROUTING (ACK И ОШИБКИ) ==========
+
+  /**
+   * Сохраняет ACK/NAK для отправленного текстового сообщения
+   * @param {number} packetId - ID исходного пакета (Data.request_id)
+   * @param {Object} ack - { from, to, errorReason, gatewayId, timestamp }
+   */
+  async saveMessageAck(packetId, ack) {
+    try {
+      const key = `ack:${packetId}`;
+      const pipeline = this.redis.pipeline();
+      pipeline.rpush(key, JSON.stringify(ack));
+      pipeline.ltrim(key, -50, -1);
+      pipeline.expire(key, 7 * 24 * 60 * 60);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving message ack:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает ACK/NAK для пакета
+   * @param {number} packetId - ID исходного пакета
+   * @returns {Promise<Array>} - Записи в порядке получения
+   */
+  async getMessageAcks(packetId) {
+    try {
+      const entries = await this.redis.lrange(`ack:${packetId}`, 0, -1);
+      return entries
+        .map((entry) => {
+          try {
+            return JSON.parse(entry);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting message acks:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Увеличивает счетчик ошибки маршрутизации, о которой сообщила нода
+   * @param {number} deviceId - ID ноды
+   * @param {string} reason - Причина (NO_ROUTE, MAX_RETRANSMIT, ...)
+   */
+  async incrementRoutingError(deviceId, reason) {
+    try {
+      const pipeline = this.redis.pipeline();
+      pipeline.hincrby(`routing_errors:${deviceId}`, reason, 1);
+      pipeline.hset(`routing_errors:${deviceId}`, "lastErrorAt", Date.now());
+      pipeline.sadd("routing_errors:nodes", deviceId);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error incrementing routing error:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает счетчики ошибок маршрутизации по нодам
+   * @param {string|null} deviceId - ID ноды (null - все ноды)
+   * @returns {Promise<Array>} - [{ deviceId, total, lastErrorAt, reasons }] по убыванию total
+   */
+  async getRoutingErrors(deviceId = null) {
+    try {
+      const deviceIds = deviceId
+        ? [String(deviceId)]
+        : await this.redis.smembers("routing_errors:nodes");
+
+      if (deviceIds.length === 0) {
+        return [];
+      }
+
+      const operations = deviceIds.map((id) => ({
+        command: "hgetall",
+        args: [`routing_errors:${id}`],
+      }));
+      const results = await executeRedisPipeline(this.redis, operations);
+
+      return results
+        .map((data, index) => {
+          if (!data || Object.keys(data).length === 0) {
+            return null;
+          }
+
+          const { lastErrorAt, ...counters } = data;
+          const reasons = Object.fromEntries(
+            Object.entries(counters).map(([reason, count]) => [
+              reason,
+              Number(count),
+            ])
+          );
+
+          return {
+            deviceId: deviceIds[index],
+            total: Object.values(reasons).reduce(
+              (sum, count) => sum + count,
+              0
+            ),
+            lastErrorAt: Number(lastErrorAt) || null,
+            reasons,
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.total - a.total);
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting routing errors:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  // ========== PROTOBUF СХЕМА ==========
+
+  /**
+   * Сохраняет отчет о загруженной protobuf схеме
+   * @param {Object} capabilities - ProtobufDecoder.getCapabilities()
+   */
+  async saveProtobufCapabilities(capabilities) {
+    try {
+      await this.redis.set(
+        "protobufs:capabilities",
+        JSON.stringify({ ...capabilities, updatedAt: Date.now() })
+      );
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving protobuf capabilities:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает отчет о protobuf схеме, загруженной MQTT Receiver
+   * @returns {Promise<Object|null>} - Отчет или null
+   */
+  async getProtobufCapabilities() {
+    try {
+      const data = await this.redis.get("protobufs:capabilities");
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting protobuf capabilities:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // ========== ШЛЮЗЫ ==========
+
+  /**
+   * Сохраняет состояние шлюза и его брокера
+   * @param {string} gatewayId - ID шлюза (!xxxxxxxx)
+   * @param {Object} state - { status, firstSeen, statusChangedAt, onlineMs, lastOnline, lastOffline, lastSeen }
+   * @param {Object} broker - { name, status, lastSeen, updatedAt }
+   */
+  async saveGatewayState(gatewayId, state, broker) {
+    try {
+      const fields = Object.fromEntries(
+        Object.entries(state).filter(([, value]) => value != null)
+      );
+      const { name, ...brokerState } = broker;
+
+      const pipeline = this.redis.pipeline();
+      pipeline.hset(`gateway:${gatewayId}`, fields);
+      pipeline.hset(
+        `gateway_brokers:${gatewayId}`,
+        name,
+        JSON.stringify(brokerState)
+      );
+      pipeline.sadd("gateways", gatewayId);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving gateway state:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает сохраненное состояние шлюза
+   * @param {string} gatewayId - ID шлюза
+   * @returns {Promise<Object|null>} - Состояние с brokers или null
+   */
+  async getGatewayState(gatewayId) {
+    try {
+      const [data, brokers] = await executeRedisPipeline(this.redis, [
+        { command: "hgetall", args: [`gateway:${gatewayId}`] },
+        { command: "hgetall", args: [`gateway_brokers:${gatewayId}`] },
+      ]);
+
+      if (!data || Object.keys(data).length === 0) {
+        return null;
+      }
+
+      const toNumber = (value) => (value != null ? Number(value) : null);
+
+      return {
+        status: data.status || "unknown",
+        firstSeen: toNumber(data.firstSeen),
+        statusChangedAt: toNumber(data.statusChangedAt),
+        onlineMs: Number(data.onlineMs) || 0,
+        lastOnline: toNumber(data.lastOnline),
+        lastOffline: toNumber(data.lastOffline),
+        lastSeen: toNumber(data.lastSeen),
+        // stat - статус из LWT, seen - выведен из пересланных пакетов
+        statusSource: data.statusSource || null,
+        staleTimeout: toNumber(data.staleTimeout),
+        brokers: Object.fromEntries(
+          Object.entries(brokers || {}).map(([name, value]) => {
+            try {
+              return [name, JSON.parse(value)];
+            } catch {
+              return [name, {}];
+            }
+          })
+        ),
+      };
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting gateway state:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Возвращает шлюзы с текущим статусом и процентом аптайма
+   * @param {string|null} gatewayId - ID шлюза (null - все шлюзы)
+   * @returns {Promise<Array>} - Сначала online, затем по lastSeen
+   */
+  async getGateways(gatewayId = null) {
+    try {
+      const gatewayIds = gatewayId
+        ? [gatewayId]
+        : await this.redis.smembers("gateways");
+
+      const now = Date.now();
+      const gateways = [];
+
+      for (const id of gatewayIds) {
+        const saved = await this.getGatewayState(id);
+        if (!saved) {
+          continue;
+        }
+        // Шлюз без LWT, переставший присылать пакеты, считается offline
+        const state = applyGatewayStaleness(saved, now);
+
+        // Текущий период online еще не добавлен в onlineMs
+        const onlineMs =
+          state.onlineMs +
+          (state.status === "online" ? now - state.statusChangedAt : 0);
+        const trackedMs = now - state.firstSeen;
+
+        gateways.push({
+          gatewayId: id,
+          ...state,
+          uptimePercent:
+            trackedMs > 0
+              ? Math.round((onlineMs / trackedMs) * 1000) / 10
+              : null,
+        });
+      }
+
+      return gateways.sort(
+        (a, b) =>
+          (b.status === "online") - (a.status === "online") ||
+          (b.lastSeen || 0) - (a.lastSeen || 0)
+      );
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting gateways:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Накапливает счетчики отброшенных rate limiter'ом пакетов
+   * @param {Object} stats - { deviceId: { dropped, reasons, portnums, quarantines, lastDropAt, quarantinedUntil } }
+   */
+  async incrementThrottleStats(stats) {
+    try {
+      const entries = Object.entries(stats);
+      if (entries.length === 0) {
+        return;
+      }
+
+      const pipeline = this.redis.pipeline();
+      entries.forEach(([deviceId, nodeStats]) => {
+        const key = `throttled:${deviceId}`;
+        pipeline.sadd("throttled_nodes", deviceId);
+        pipeline.hincrby(key, "dropped", nodeStats.dropped || 0);
+        pipeline.hincrby(key, "quarantines", nodeStats.quarantines || 0);
+        Object.entries(nodeStats.reasons || {}).forEach(([reason, count]) =>
+          pipeline.hincrby(key, `reason:${reason}`, count)
+        );
+        Object.entries(nodeStats.portnums || {}).forEach(([name, count]) =>
+          pipeline.hincrby(key, `portnum:${name}`, count)
+        );
+        if (nodeStats.lastDropAt) {
+          pipeline.hset(key, "lastDropAt", nodeStats.lastDropAt);
+        }
+        if (nodeStats.quarantinedUntil) {
+          pipeline.hset(key, "quarantinedUntil", nodeStats.quarantinedUntil);
+        }
+        pipeline.expire(key, 7 * 24 * 60 * 60);
+      });
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving throttle stats:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает ноды, пакеты которых отбрасывал rate limiter
+   * @returns {Promise<Array>} - Массив { deviceId, dropped, reasons, portnums, quarantines, lastDropAt, quarantinedUntil, quarantined }
+   */
+  async getThrottledNodes() {
+    try {
+      const deviceIds = await this.redis.smembers("throttled_nodes");
+      if (deviceIds.length === 0) {
+        return [];
+      }
+
+      const pipeline = this.redis.pipeline();
+      deviceIds.forEach((deviceId) =>
+        pipeline.hgetall(`throttled:${deviceId}`)
+      );
+      const results = await pipeline.exec();
+      const now = Date.now();
+      const expired = [];
+
+      const nodes = deviceIds
+        .map((deviceId, index) => {
+          const [err, data] = results[index];
+          if (err || !data || Object.keys(data).length === 0) {
+            expired.push(deviceId);
+            return null;
+          }
+
+          const reasons = {};
+          const portnums = {};
+          Object.entries(data).forEach(([field, value]) => {
+            if (field.startsWith("reason:")) {
+              reasons[field.slice(7)] = parseInt(value) || 0;
+            } else if (field.startsWith("portnum:")) {
+              portnums[field.slice(8)] = parseInt(value) || 0;
+            }
+          });
+          const quarantinedUntil = data.quarantinedUntil
+            ? parseInt(data.quarantinedUntil)
+            : null;
+
+          return {
+            deviceId: parseInt(deviceId),
+            dropped: parseInt(data.dropped) || 0,
+            reasons,
+            portnums,
+            quarantines: parseInt(data.quarantines) || 0,
+            lastDropAt: data.lastDropAt ? parseInt(data.lastDropAt) : null,
+            quarantinedUntil,
+            quarantined: Boolean(quarantinedUntil && quarantinedUntil > now),
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.dropped - a.dropped);
+
+      // Хэши истекают по TTL, чистим их из индекса
+      if (expired.length > 0) {
+        await this.redis.srem("throttled_nodes", ...expired);
+      }
+
+      return nodes;
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting throttled nodes:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Сохраняет расшифрованное сообщение публичного/группового канала MeshCore
+   * @param {string} channelName - Имя канала MeshCore
+   * @param {Object} message - Сообщение (sender, text, timestamp, path, ...)
+   */
+  async saveMeshcoreMessage(channelName, message) {
+    try {
+      const key = `meshcore_messages:${channelName}`;
+      const pipeline = this.redis.pipeline();
+      pipeline.sadd("meshcore_channels", channelName);
+      pipeline.rpush(key, JSON.stringify(message));
+      pipeline.ltrim(key, -MAX_PORTNUM_MESSAGES, -1);
+      await pipeline.exec();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error saving meshcore message:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Получает сообщения канала MeshCore (новые первыми)
+   * @param {string} channelName - Имя канала MeshCore
+   * @param {number} limit - Максимальное количество сообщений
+   * @returns {Promise<Array>} - Массив сообщений
+   */
+  async getMeshcoreMessages(channelName, limit = MAX_PORTNUM_MESSAGES) {
+    try {
+      const data = await this.redis.lrange(
+        `meshcore_messages:${channelName}`,
+        -limit,
+        -1
+      );
+
+      return data
+        .map((item) => {
+          try {
+            return JSON.parse(item);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .reverse();
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting meshcore messages:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Возвращает каналы MeshCore, по которым есть сообщения
+   * @returns {Promise<Array>} - Массив { channel, count }
+   */
+  async getMeshcoreChannels() {
+    try {
+      const channels = await this.redis.smembers("meshcore_channels");
+      if (channels.length === 0) {
+        return [];
+      }
+
+      const counts = await executeRedisPipeline(
+        this.redis,
+        channels.map((channel) => ({
+          command: "llen",
+          args: [`meshcore_messages:${channel}`],
+        }))
+      );
+
+      return channels
+        .map((channel, index) => ({
+          channel,
+          count: counts[index] || 0,
+        }))
+        .sort((a, b) => a.channel.localeCompare(b.channel));
+    } catch (error) {
+      console.error(
+        `[${this.serviceName}] Error getting meshcore channels:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
   /**
    * Отключается от Redis
    */
@@ -1,24 +1,23 @@
 import { Telegraf } from "telegraf";
 import { SocksProxyAgent } from "socks-proxy-agent";
 import { botSettings } from "../config.mjs";
+import { getHopsTravelled } from "./utils.mjs";
 
 const MESSAGE_GROUP_TIMEOUT = 15 * 1000;
 
-// Helper function to format hop count
-const formatHopCount = (hop) => {
-  if (hop === null || hop === undefined || hop === "N/A") {
-    return null;
-  }
-
-  const hopValue = typeof hop === "string" ? parseInt(hop, 10) : hop;
+/**
+ * Форматирует пройденные хопы приема (hop_start - hop_limit)
+ * @param {Object} rx - Запись с hopStart и hopLimit
+ * @returns {string|null} - null, если hop_start неизвестен (прошивка до 2.3)
+ */
+const formatHopCount = (rx) => {
+  const hops = getHopsTravelled(rx?.hopStart, rx?.hopLimit);
 
-  if (hopValue === 7) {
-    return "Direct";
-  } else if (hopValue >= 0 && hopValue < 7) {
-    return `${7 - hopValue} Hop`;
+  if (hops === null) {
+    return null;
   }
 
-  return hop; // fallback for unexpected values
+  return hops === 0 ? "Direct" : `${hops} Hop`;
 };
 
 let bot = null;
@@ -371,35 +370,39 @@ const getDeviceStats = async (redis, deviceId) => {
     const [
       userMessages,
       positionMessages,
-      deviceMetricsMessages,
-      environmentMetricsMessages,
+      telemetryMessages,
       mapReportMessages,
       tracerouteMessages,
+      paxcounterMessages,
+      storeForwardRouters,
     ] = await Promise.all([
       redis.getPortnumMessages("NODEINFO_APP", numericId, 1),
       redis.getPortnumMessages("POSITION_APP", numericId, 1),
-      redis.getPortnumMessages("TELEMETRY_APP", numericId, 1),
-      redis.getPortnumMessages("TELEMETRY_APP", numericId, 1), // Environment metrics тоже в TELEMETRY_APP
+      // Все варианты телеметрии хранятся вместе в TELEMETRY_APP
+      redis.getPortnumMessages("TELEMETRY_APP", numericId, 50),
       redis.getPortnumMessages("MAP_REPORT_APP", numericId, 1),
       redis.getPortnumMessages("TRACEROUTE_APP", numericId, 1),
+      redis.getPortnumMessages("PAXCOUNTER_APP", numericId, 1),
+      redis.getStoreForwardRouters(numericId),
     ]);
 
     // Получаем последние сообщения для истории
-    const [
-      userHistory,
-      positionHistory,
-      deviceMetricsHistory,
-      envMetricsHistory,
-      mapReportHistory,
-      tracerouteHistory,
-    ] = await Promise.all([
-      redis.getPortnumMessages("NODEINFO_APP", numericId, 10),
-      redis.getPortnumMessages("POSITION_APP", numericId, 10),
-      redis.getPortnumMessages("TELEMETRY_APP", numericId, 10),
-      redis.getPortnumMessages("TELEMETRY_APP", numericId, 10),
-      redis.getPortnumMessages("MAP_REPORT_APP", numericId, 10),
-      redis.getPortnumMessages("TRACEROUTE_APP", numericId, 10),
-    ]);
+    const [userHistory, positionHistory, mapReportHistory, tracerouteHistory] =
+      await Promise.all([
+        redis.getPortnumMessages("NODEINFO_APP", numericId, 10),
+        redis.getPortnumMessages("POSITION_APP", numericId, 10),
+        redis.getPortnumMessages("MAP_REPORT_APP", numericId, 10),
+        redis.getPortnumMessages("TRACEROUTE_APP", numericId, 10),
+      ]);
+
+    // Записи телеметрии по варианту (rawData.type), новые первыми
+    const telemetryByType = (type) =>
+      telemetryMessages.filter((message) => message.rawData?.type === type);
+    const deviceMetricsHistory = telemetryByType("deviceMetrics").slice(0, 10);
+    const envMetricsHistory = telemetryByType("environmentMetrics").slice(
+      0,
+      10
+    );
 
     // Получаем последние текстовые сообщения
     const lastMessages = await redis.getPortnumMessages(
@@ -436,10 +439,17 @@ const getDeviceStats = async (redis, deviceId) => {
       numericId: numericId,
       user: userMessages[0] || null,
       position: positionMessages[0] || null,
-      deviceMetrics: deviceMetricsMessages[0] || null,
-      environmentMetrics: environmentMetricsMessages[0] || null,
+      deviceMetrics: deviceMetricsHistory[0] || null,
+      environmentMetrics: envMetricsHistory[0] || null,
+      powerMetrics: telemetryByType("powerMetrics")[0] || null,
+      airQualityMetrics: telemetryByType("airQualityMetrics")[0] || null,
+      localStats: telemetryByType("localStats")[0] || null,
+      healthMetrics: telemetryByType("healthMetrics")[0] || null,
+      hostMetrics: telemetryByType("hostMetrics")[0] || null,
       mapReport: mapReportMessages[0] || null,
       traceroute: tracerouteMessages[0] || null,
+      paxcounter: paxcounterMessages[0] || null,
+      storeForward: storeForwardRouters[0] || null,
       userData: dotData,
       gpsHistory: positionHistory,
       deviceMetricsHistory: deviceMetricsHistory,
@@ -458,6 +468,92 @@ const getDeviceStats = async (redis, deviceId) => {
   }
 };
 
+// Format power, air quality, local stats, health and host telemetry
+const formatTelemetryVariants = (stats) => {
+  const isNumber = (value) => typeof value === "number" && !isNaN(value);
+  let message = "";
+
+  const power = stats.powerMetrics?.rawData?.variant?.value;
+  if (power) {
+    const channels = [];
+    for (let channel = 1; channel <= 8; channel++) {
+      const voltage = power[`ch${channel}_voltage`];
+      const current = power[`ch${channel}_current`];
+      if (isNumber(voltage) || isNumber(current)) {
+        channels.push(
+          `CH${channel} ${isNumber(voltage) ? `${voltage.toFixed(2)}V` : "—"}/${
+            isNumber(current) ? `${current.toFixed(0)}mA` : "—"
+          }`
+        );
+      }
+    }
+    if (channels.length > 0) {
+      message += `🔌 <b>Питание:</b> ${channels.join(", ")}\n`;
+    }
+  }
+
+  const air = stats.airQualityMetrics?.rawData?.variant?.value;
+  if (air) {
+    if (isNumber(air.pm25_standard)) {
+      message += `🌫️ <b>PM1.0/2.5/10:</b> ${air.pm10_standard ?? "—"}/${
+        air.pm25_standard
+      }/${air.pm100_standard ?? "—"} мкг/м³\n`;
+    }
+    if (isNumber(air.co2)) {
+      message += `🫧 <b>CO₂:</b> ${air.co2} ppm\n`;
+    }
+  }
+
+  const local = stats.localStats?.rawData?.variant?.value;
+  if (local) {
+    message += `📊 <b>Пакеты:</b> TX ${local.num_packets_tx ?? 0}, RX ${
+      local.num_packets_rx ?? 0
+    } (ошибок ${local.num_packets_rx_bad ?? 0}, дублей ${
+      local.num_rx_dupe ?? 0
+    }), ретрансляций ${local.num_tx_relay ?? 0}\n`;
+    if (isNumber(local.num_total_nodes)) {
+      message += `👥 <b>Узлы:</b> ${local.num_online_nodes ?? 0} онлайн из ${
+        local.num_total_nodes
+      }\n`;
+    }
+  }
+
+  const health = stats.healthMetrics?.rawData?.variant?.value;
+  if (health) {
+    if (isNumber(health.heart_bpm)) {
+      message += `❤️ <b>Пульс:</b> ${health.heart_bpm} уд/мин\n`;
+    }
+    if (isNumber(health.spO2)) {
+      message += `🩸 <b>SpO₂:</b> ${health.spO2}%\n`;
+    }
+    if (isNumber(health.temperature)) {
+      message += `🌡️ <b>Температура тела:</b> ${health.temperature.toFixed(
+        1
+      )}°C\n`;
+    }
+  }
+
+  const host = stats.hostMetrics?.rawData?.variant?.value;
+  if (host) {
+    message += `🖥️ <b>Хост:</b>`;
+    if (isNumber(host.freemem_bytes)) {
+      message += ` свободно ${Math.round(host.freemem_bytes / 1048576)} МБ,`;
+    }
+    // load1/5/15 передаются умноженными на 100
+    message += ` load ${((host.load1 || 0) / 100).toFixed(2)}/${(
+      (host.load5 || 0) / 100
+    ).toFixed(2)}/${((host.load15 || 0) / 100).toFixed(2)}`;
+    if (isNumber(host.uptime_seconds) && host.uptime_seconds >= 3600) {
+      message += `, аптайм ${formatUptime(
+        Math.floor(host.uptime_seconds / 3600)
+      )}`;
+    }
+    message += `\n`;
+  }
+
+  return message ? `${message}\n` : "";
+};
+
 // Format device statistics for Telegram
 const formatDeviceStats = async (stats, redis) => {
   if (!stats) return "❌ Устройство не найдено или нет данных";
@@ -470,6 +566,8 @@ const formatDeviceStats = async (stats, redis) => {
     environmentMetrics,
     mapReport,
     traceroute,
+    paxcounter,
+    storeForward,
     server,
     userData,
     gpsHistory,
@@ -542,15 +640,9 @@ const formatDeviceStats = async (stats, redis) => {
       deviceMetrics?.rxSnr ||
       position?.rxSnr ||
       environmentMetrics?.rxSnr;
-    const nodeHop =
-      user?.hopLimit ||
-      user?.hop ||
-      deviceMetrics?.hopLimit ||
-      deviceMetrics?.hop ||
-      position?.hopLimit ||
-      position?.hop ||
-      environmentMetrics?.hopLimit ||
-      environmentMetrics?.hop;
+    const nodeHopRx = [user, deviceMetrics, position, environmentMetrics].find(
+      (rx) => rx?.hopLimit !== undefined
+    );
     const nodeGatewayId =
       user?.gatewayId ||
       deviceMetrics?.gatewayId ||
@@ -578,7 +670,7 @@ const formatDeviceStats = async (stats, redis) => {
         message += `🛰️ <b>NodeInfo RX:</b> ${escapeHtml(
           gatewayInfo.longName
         )} (${escapeHtml(gatewayInfo.idHex)}) `;
-        const formattedNodeHop = formatHopCount(nodeHop);
+        const formattedNodeHop = formatHopCount(nodeHopRx);
         if (formattedNodeHop) {
           message += `${formattedNodeHop} `;
         }
@@ -616,7 +708,14 @@ const formatDeviceStats = async (stats, redis) => {
       messageText = lastMsg.payload;
     }
 
-    message += `📝 ${escapeHtml(messageText)} ${timeAgo}\n`;
+    // Личное сообщение, расшифрованное PKI ключом нашей ноды
+    if (lastMsg.pki && lastMsg.to !== undefined) {
+      const recipientHex = `!${Number(lastMsg.to).toString(16).padStart(8, "0")}`;
+      message += `🔐 <b>ЛС для ${escapeHtml(recipientHex)}:</b> `;
+    } else {
+      message += `📝 `;
+    }
+    message += `${escapeHtml(messageText)} ${timeAgo}\n`;
 
     // Add Message RX information
     if (
@@ -632,7 +731,7 @@ const formatDeviceStats = async (stats, redis) => {
         message += `🛰️ <b>Message RX:</b> ${escapeHtml(
           gatewayInfo.longName
         )} (${escapeHtml(gatewayInfo.idHex)}) `;
-        const formattedLastMsgHop = formatHopCount(lastMsg.hopLimit);
+        const formattedLastMsgHop = formatHopCount(lastMsg);
         if (formattedLastMsgHop) {
           message += `${formattedLastMsgHop} `;
         }
@@ -670,7 +769,6 @@ const formatDeviceStats = async (stats, redis) => {
     // Add GPS RX information
     const posRxRssi = position?.rxRssi;
     const posRxSnr = position?.rxSnr;
-    const posHop = position?.hopLimit || position?.hop;
     const gatewayId = position?.gatewayId;
     const posTimestamp = position?.serverTime || position?.timestamp;
 
@@ -687,7 +785,7 @@ const formatDeviceStats = async (stats, redis) => {
         message += `🛰️ <b>GPS RX:</b> ${escapeHtml(
           gatewayInfo.longName
         )} (${escapeHtml(gatewayInfo.idHex)}) `;
-        const formattedPosHop = formatHopCount(posHop);
+        const formattedPosHop = formatHopCount(position);
         if (formattedPosHop) {
           message += `${formattedPosHop} `;
         }
@@ -760,7 +858,6 @@ const formatDeviceStats = async (stats, redis) => {
     // Add Telemetry RX information
     const devRxRssi = deviceMetrics?.rxRssi;
     const devRxSnr = deviceMetrics?.rxSnr;
-    const devHop = deviceMetrics?.hopLimit || deviceMetrics?.hop;
     const devGatewayId = deviceMetrics?.gatewayId;
     const devTimestamp = deviceMetrics?.serverTime || deviceMetrics?.timestamp;
 
@@ -776,7 +873,7 @@ const formatDeviceStats = async (stats, redis) => {
         message += `🛰️ <b>Telemetry RX:</b> ${escapeHtml(
           gatewayInfo.longName
         )} (${escapeHtml(gatewayInfo.idHex)}) `;
-        const formattedDevHop = formatHopCount(devHop);
+        const formattedDevHop = formatHopCount(deviceMetrics);
         if (formattedDevHop) {
           message += `${formattedDevHop} `;
         }
@@ -829,7 +926,6 @@ const formatDeviceStats = async (stats, redis) => {
       if (hasEnvData) {
         const envRxRssi = environmentMetrics?.rxRssi;
         const envRxSnr = environmentMetrics?.rxSnr;
-        const envHop = environmentMetrics?.hopLimit || environmentMetrics?.hop;
         const envGatewayId = environmentMetrics?.gatewayId;
         const envTimestamp =
           environmentMetrics?.serverTime || environmentMetrics?.timestamp;
@@ -846,7 +942,7 @@ const formatDeviceStats = async (stats, redis) => {
             message += `🛰️ <b>Environment RX:</b> ${escapeHtml(
               gatewayInfo.longName
             )} (${escapeHtml(gatewayInfo.idHex)}) `;
-            const formattedEnvHop = formatHopCount(envHop);
+            const formattedEnvHop = formatHopCount(environmentMetrics);
             if (formattedEnvHop) {
               message += `${formattedEnvHop} `;
             }
@@ -862,6 +958,43 @@ const formatDeviceStats = async (stats, redis) => {
     message += `\n`;
   }
 
+  // Power, air quality, local stats, health and host telemetry
+  message += formatTelemetryVariants(stats);
+
+  // Paxcounter section
+  if (paxcounter?.rawData) {
+    const { wifi = 0, ble = 0 } = paxcounter.rawData;
+    message += `👥 <b>Paxcounter:</b> WiFi ${wifi}, BLE ${ble}`;
+    if (paxcounter.timestamp) {
+      message += ` ${formatTimeAgo(paxcounter.timestamp)}`;
+    }
+    message += `\n\n`;
+  }
+
+  // Store & Forward section
+  if (storeForward) {
+    message += `📦 <b>Store &amp; Forward роутер</b>`;
+    if (storeForward.lastSeen) {
+      message += ` ${formatTimeAgo(storeForward.lastSeen)}`;
+    }
+    message += `\n`;
+    const sfStats = storeForward.stats;
+    if (sfStats) {
+      message += `💾 <b>Сохранено:</b> ${sfStats.messagesSaved ?? 0}/${
+        sfStats.messagesMax ?? 0
+      }, всего ${sfStats.messagesTotal ?? 0}\n`;
+      message += `📨 <b>Запросов:</b> ${sfStats.requests ?? 0} (история: ${
+        sfStats.requestsHistory ?? 0
+      })\n`;
+      if (sfStats.upTime) {
+        message += `⏰ <b>Аптайм S&amp;F:</b> ${formatUptime(
+          Math.floor(sfStats.upTime / 3600)
+        )}\n`;
+      }
+    }
+    message += `\n`;
+  }
+
   // Map Report section
   if (mapReport?.rawData || mapReportHistory.length > 0) {
     const mapData = mapReport?.rawData || mapReportHistory[0]?.rawData;
@@ -926,7 +1059,6 @@ const formatDeviceStats = async (stats, redis) => {
       // Add Map Report RX information
       const mapRxRssi = mapReport?.rxRssi;
       const mapRxSnr = mapReport?.rxSnr;
-      const mapHop = mapReport?.hopLimit || mapReport?.hop;
       const mapGatewayId = mapReport?.gatewayId;
       const mapTimestamp = mapReport?.serverTime || mapReport?.timestamp;
 
@@ -942,7 +1074,7 @@ const formatDeviceStats = async (stats, redis) => {
           message += `🛰️ <b>Map Report RX:</b> ${escapeHtml(
             gatewayInfo.longName
           )} (${escapeHtml(gatewayInfo.idHex)}) `;
-          const formattedMapHop = formatHopCount(mapHop);
+          const formattedMapHop = formatHopCount(mapReport);
           if (formattedMapHop) {
             message += `${formattedMapHop} `;
           }
@@ -1255,7 +1387,6 @@ const formatDeviceStats = async (stats, redis) => {
         // Add Traceroute RX information
         const traceRxRssi = traceroute?.rxRssi;
         const traceRxSnr = traceroute?.rxSnr;
-        const traceHop = traceroute?.hopLimit || traceroute?.hop;
         const traceGatewayId = traceroute?.gatewayId;
         const traceTimestamp = traceroute?.serverTime || traceroute?.timestamp;
 
@@ -1271,7 +1402,7 @@ const formatDeviceStats = async (stats, redis) => {
         //     message += `🛰️ <b>Traceroute RX:</b> ${escapeHtml(
         //       gatewayInfo.longName
         //     )} (${escapeHtml(gatewayInfo.idHex)}) `;
-        //     const formattedTraceHop = formatHopCount(traceHop);
+        //     const formattedTraceHop = formatHopCount(traceroute);
         //     if (formattedTraceHop) {
         //       message += `${formattedTraceHop} `;
         //     }
@@ -1380,13 +1511,13 @@ const sendGroupedMessage = async (redis, messageId) => {
         gateway?.longName || "Unknown"
       )}</a> (${escapeHtml(gatewayId)})`;
 
-      // Check if RSSI or SNR is 0, then show MQTT instead of values
-      if (info.rxRssi === 0 || info.rxSnr === 0) {
+      // Пакет пришел шлюзу через MQTT, а не по радио
+      if (info.viaMqtt || info.rxRssi === 0 || info.rxSnr === 0) {
         message += ` MQTT`;
       } else {
         if (info.rxRssi !== undefined) message += ` ${info.rxRssi}dBm`;
         if (info.rxSnr !== undefined) message += `/${info.rxSnr}SNR`;
-        const formattedHop = formatHopCount(info.hopLimit);
+        const formattedHop = formatHopCount(info);
         if (formattedHop) message += `/${formattedHop}`;
       }
 
@@ -1610,6 +1741,8 @@ export const handleTelegramMessage = async (
   if (!group.gateways.has(gatewayId)) {
     group.gateways.set(gatewayId, {
       hopLimit: event.hopLimit,
+      hopStart: event.hopStart,
+      viaMqtt: event.viaMqtt,
       rxRssi: event.rxRssi,
       rxSnr: event.rxSnr,
       server: server.name,
@@ -1625,6 +1758,48 @@ export const handleTelegramMessage = async (
   }, MESSAGE_GROUP_TIMEOUT);
 };
 
+/**
+ * Отправляет срабатывание датчика (DETECTION_SENSOR_APP) в чат,
+ * указанный для ноды в botSettings.DETECTION_SENSOR_CHANNELS
+ * @param {RedisManager} redis - Redis Manager
+ * @param {Object} event - Событие пакета
+ * @param {string} text - Текст срабатывания
+ */
+export const handleDetectionSensorAlert = async (redis, event, text) => {
+  const channels = botSettings.DETECTION_SENSOR_CHANNELS || {};
+  const hexId = `!${Number(event.from).toString(16).padStart(8, "0")}`;
+  const chatId = channels[event.from] || channels[hexId];
+  if (!chatId) return;
+
+  try {
+    const gatewayInfoMap = await getGatewayInfoBatch(
+      redis,
+      [hexId, event.gatewayId].filter(Boolean)
+    );
+    const sensorName = gatewayInfoMap[hexId]?.longName || hexId;
+
+    let message = `🚨 <b>${escapeHtml(sensorName)}</b> (${escapeHtml(
+      hexId
+    )})\n`;
+    message += `${escapeHtml(text || "Срабатывание датчика")}\n`;
+
+    const gatewayInfo = gatewayInfoMap[event.gatewayId];
+    if (gatewayInfo) {
+      message += `🛰️ ${escapeHtml(gatewayInfo.longName)} (${escapeHtml(
+        gatewayInfo.idHex
+      )})`;
+      if (event.rxRssi && event.rxSnr) {
+        message += ` RSSI/SNR: ${event.rxRssi}/${event.rxSnr}`;
+      }
+      message += `\n`;
+    }
+
+    await sendTelegramMessage(message, chatId);
+  } catch (error) {
+    console.error("Error sending detection sensor alert:", error.message);
+  }
+};
+
 /**
  * Очищает интервалы и ресурсы Telegram модуля
  */
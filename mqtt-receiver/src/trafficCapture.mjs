@@ -0,0 +1,245 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { matchesTopicFilter } from "./utils.mjs";
+
+// Заголовок бинарного файла захвата
+const BINARY_MAGIC = Buffer.from("MSHCAP1\n", "ascii");
+const CAPTURE_FILE_PATTERN = /^capture-.*\.(ndjson|bin)$/;
+
+/**
+ * Кодирует запись в бинарный формат:
+ * receivedAt (double LE), длина+имя сервера (u16), длина+топик (u16), длина+payload (u32)
+ */
+const encodeBinaryRecord = (serverName, topic, payload, receivedAt) => {
+  const serverBuffer = Buffer.from(serverName, "utf8");
+  const topicBuffer = Buffer.from(topic, "utf8");
+  const header = Buffer.alloc(16 + serverBuffer.length + topicBuffer.length);
+
+  let offset = header.writeDoubleLE(receivedAt, 0);
+  offset = header.writeUInt16LE(serverBuffer.length, offset);
+  offset += serverBuffer.copy(header, offset);
+  offset = header.writeUInt16LE(topicBuffer.length, offset);
+  offset += topicBuffer.copy(header, offset);
+  header.writeUInt32LE(payload.length, offset);
+
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Запись сырого MQTT трафика (server, topic, payload, receivedAt) в
+ * ротируемые файлы NDJSON или бинарного формата для последующего replay
+ */
+export class TrafficCapture {
+  /**
+   * @param {Object} options - Настройки (mqttReceiverConfig.capture)
+   * @param {boolean} options.enabled - Включен ли захват
+   * @param {string} options.dir - Каталог для файлов
+   * @param {string} options.format - ndjson | binary
+   * @param {number} options.maxFileSize - Размер файла для ротации (байт)
+   * @param {number} options.maxFiles - Сколько файлов хранить
+   * @param {Array} options.topics - MQTT фильтры захватываемых топиков (пусто - все)
+   */
+  constructor(options = {}) {
+    this.config = {
+      enabled: false,
+      dir: "./captures",
+      format: "ndjson",
+      maxFileSize: 50 * 1024 * 1024,
+      maxFiles: 20,
+      topics: [],
+      ...options,
+    };
+
+    this.stream = null;
+    this.currentFile = null;
+    this.bytesWritten = 0;
+    this.recordsWritten = 0;
+    this.fileSequence = 0; // Различает файлы, открытые в одну миллисекунду
+  }
+
+  /**
+   * Открывает первый файл захвата
+   */
+  start() {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    fs.mkdirSync(this.config.dir, { recursive: true });
+    this.openFile();
+
+    console.log(
+      `🎙️ [MQTT-Receiver] Захват трафика включен: ${this.config.dir} (${this.config.format})`
+    );
+  }
+
+  /**
+   * Записывает сообщение
+   * @param {Object} server - Объект сервера
+   * @param {string} topic - Топик
+   * @param {Buffer} payload - Данные
+   * @param {number} receivedAt - Время получения (мс)
+   */
+  write(server, topic, payload, receivedAt = Date.now()) {
+    if (!this.stream) {
+      return;
+    }
+
+    const { topics } = this.config;
+    if (
+      topics.length > 0 &&
+      !topics.some((filter) => matchesTopicFilter(filter, topic))
+    ) {
+      return;
+    }
+
+    const data = Buffer.from(payload || []);
+    const record =
+      this.config.format === "binary"
+        ? encodeBinaryRecord(server.name, topic, data, receivedAt)
+        : Buffer.from(
+            JSON.stringify({
+              server: server.name,
+              topic,
+              payload: data.toString("base64"),
+              receivedAt,
+            }) + "\n"
+          );
+
+    this.stream.write(record);
+    this.bytesWritten += record.length;
+    this.recordsWritten++;
+
+    if (this.bytesWritten >= this.config.maxFileSize) {
+      this.rotate();
+    }
+  }
+
+  /**
+   * Открывает новый файл захвата
+   */
+  openFile() {
+    const extension = this.config.format === "binary" ? "bin" : "ndjson";
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const sequence = String(this.fileSequence++ % 10000).padStart(4, "0");
+    this.currentFile = path.join(
+      this.config.dir,
+      `capture-${timestamp}-${sequence}.${extension}`
+    );
+
+    this.stream = fs.createWriteStream(this.currentFile, { flags: "a" });
+    this.stream.on("error", (error) => {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка записи захвата трафика:",
+        error.message
+      );
+    });
+    this.bytesWritten = 0;
+
+    if (this.config.format === "binary") {
+      this.stream.write(BINARY_MAGIC);
+      this.bytesWritten = BINARY_MAGIC.length;
+    }
+  }
+
+  /**
+   * Переходит на новый файл и удаляет старые сверх maxFiles
+   */
+  rotate() {
+    this.stream.end();
+    this.openFile();
+
+    try {
+      const files = fs
+        .readdirSync(this.config.dir)
+        .filter((file) => CAPTURE_FILE_PATTERN.test(file))
+        .sort();
+
+      files
+        .slice(0, Math.max(0, files.length - this.config.maxFiles))
+        .forEach((file) => fs.unlinkSync(path.join(this.config.dir, file)));
+    } catch (error) {
+      console.error(
+        "❌ [MQTT-Receiver] Ошибка ротации файлов захвата:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Возвращает статистику захвата
+   */
+  getStats() {
+    return {
+      enabled: Boolean(this.stream),
+      file: this.currentFile,
+      records: this.recordsWritten,
+    };
+  }
+
+  /**
+   * Закрывает текущий файл
+   */
+  async stop() {
+    if (!this.stream) {
+      return;
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+/**
+ * Читает файл захвата (формат определяется по заголовку)
+ * @param {string} filePath - Путь к файлу
+ * @returns {AsyncGenerator<Object>} - { server, topic, payload, receivedAt }
+ */
+export async function* readCaptureFile(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  const magic = Buffer.alloc(BINARY_MAGIC.length);
+  await handle.read(magic, 0, magic.length, 0);
+  await handle.close();
+
+  if (magic.equals(BINARY_MAGIC)) {
+    const data = await fs.promises.readFile(filePath);
+    let offset = BINARY_MAGIC.length;
+
+    while (offset < data.length) {
+      const receivedAt = data.readDoubleLE(offset);
+      offset += 8;
+      const serverLength = data.readUInt16LE(offset);
+      offset += 2;
+      const server = data.toString("utf8", offset, offset + serverLength);
+      offset += serverLength;
+      const topicLength = data.readUInt16LE(offset);
+      offset += 2;
+      const topic = data.toString("utf8", offset, offset + topicLength);
+      offset += topicLength;
+      const payloadLength = data.readUInt32LE(offset);
+      offset += 4;
+      const payload = data.subarray(offset, offset + payloadLength);
+      offset += payloadLength;
+
+      yield { server, topic, payload, receivedAt };
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    const record = JSON.parse(line);
+    yield { ...record, payload: Buffer.from(record.payload, "base64") };
+  }
+}
+
+export default TrafficCapture;
@@ -1,9 +1,25 @@
+import crypto from "crypto";
 import express from "express";
 import compression from "compression";
 import cors from "cors";
-import { handleEndpointError } from "./utils.mjs";
+import { handleEndpointError, CONSTANTS } from "./utils.mjs";
 import { adminConfig } from "../config.mjs";
 
+// Значения фильтра ?heard= для /dots и /map
+const HEARD_VIA_VALUES = ["rf", "mqtt"];
+
+/**
+ * Оставляет точки, услышанные заданным способом
+ * @param {Object} dots - { deviceId: точка }
+ * @param {string} heardVia - rf | mqtt
+ * @param {Function} getHeardVia - Достает способ приема из точки
+ * @returns {Object} - Отфильтрованные точки
+ */
+const filterDotsByHeardVia = (dots, heardVia, getHeardVia) =>
+  Object.fromEntries(
+    Object.entries(dots).filter(([, dot]) => getHeardVia(dot) === heardVia)
+  );
+
 /**
  * Оптимизированный HTTP сервер (только новая схема)
  */
@@ -54,13 +70,69 @@ export class HTTPServer {
     this.app.get("/admin", this.handleAdminPage.bind(this));
     this.app.post("/api/delete", this.handleDeleteDevice.bind(this));
 
+    // Отправка сообщений в сеть через MQTT Receiver
+    this.app.post("/api/send", this.handleSendMessage.bind(this));
+    this.app.post("/api/send/audit", this.handleSendAudit.bind(this));
+
+    // Dead-letter поток надежной очереди MQTT Receiver
+    this.app.post("/api/dead-letter", this.handleDeadLetterList.bind(this));
+    this.app.post(
+      "/api/dead-letter/requeue",
+      this.handleDeadLetterAction.bind(this, "requeue")
+    );
+    this.app.post(
+      "/api/dead-letter/delete",
+      this.handleDeadLetterAction.bind(this, "delete")
+    );
+
+    // Ноды, ограниченные rate limiter'ом MQTT Receiver
+    this.app.post("/api/throttled", this.handleThrottledNodes.bind(this));
+
     // Основные endpoints
     this.app.get("/health", this.handleHealthCheck.bind(this));
     this.app.get("/stats", this.handleStatsEndpoint.bind(this));
+    this.app.get("/channels", this.handleChannelsEndpoint.bind(this));
+    this.app.get(
+      "/receptions/:deviceId/:packetId",
+      this.handleReceptionsEndpoint.bind(this)
+    );
+    this.app.get("/range-test", this.handleRangeTestEndpoint.bind(this));
+    this.app.get(
+      "/range-test/:deviceId",
+      this.handleRangeTestEndpoint.bind(this)
+    );
+    this.app.get("/store-forward", this.handleStoreForwardEndpoint.bind(this));
+    this.app.get(
+      "/store-forward/:deviceId",
+      this.handleStoreForwardEndpoint.bind(this)
+    );
+    this.app.get("/ack/:packetId", this.handleAckEndpoint.bind(this));
+    this.app.get("/protobufs", this.handleProtobufsEndpoint.bind(this));
+    this.app.get("/gateways", this.handleGatewaysEndpoint.bind(this));
+    this.app.get(
+      "/gateways/:gatewayId",
+      this.handleGatewaysEndpoint.bind(this)
+    );
+    this.app.get(
+      "/routing-errors",
+      this.handleRoutingErrorsEndpoint.bind(this)
+    );
+    this.app.get(
+      "/routing-errors/:deviceId",
+      this.handleRoutingErrorsEndpoint.bind(this)
+    );
 
     // Специфичные статические endpoints ДО ВСЕХ динамических маршрутов
     // ВАЖНО: эти маршруты должны быть зарегистрированы ПЕРЕД любыми динамическими маршрутами
     this.app.get("/dots_meshcore", this.handleDotsMeshcoreEndpoint.bind(this));
+    this.app.get(
+      "/meshcore/messages",
+      this.handleMeshcoreMessagesEndpoint.bind(this)
+    );
+    this.app.get(
+      "/meshcore/messages/:channel",
+      this.handleMeshcoreMessagesEndpoint.bind(this)
+    );
     this.app.get("/map", this.handleMapEndpoint.bind(this));
 
     // Dots endpoint - данные для карты (оптимизированный)
@@ -114,10 +186,14 @@ export class HTTPServer {
 
         endpoints: {
           data: {
-            "/dots": "Map data for all devices (optimized format)",
-            "/map": "Map data in minimal format (fastest)",
+            "/dots":
+              "Map data for all devices (optimized format, ?heard=rf|mqtt)",
+            "/map": "Map data in minimal format (fastest, ?heard=rf|mqtt)",
             "/dots/:deviceId": "Map data for specific device",
             "/dots_meshcore": "Data from Redis key dots_meshcore",
+            "/meshcore/messages": "MeshCore channels with decrypted messages",
+            "/meshcore/messages/:channel":
+              "Decrypted MeshCore channel messages (?limit=, # as %23)",
             "/portnum/:portnumName": "All messages by portnum type",
             "/portnum/:portnumName/:deviceId":
               "Device messages by portnum type",
@@ -126,22 +202,37 @@ export class HTTPServer {
           system: {
             "/health": "Health check",
             "/stats": "Server statistics",
+            "/channels": "Decryption statistics per channel",
+            "/receptions/:deviceId/:packetId":
+              "Late packet receptions by other gateways/brokers",
+            "/range-test":
+              "Range test points (sender, gateway, signal, distance)",
+            "/range-test/:deviceId": "Range test points of one sender",
+            "/store-forward": "Store & Forward routers and their stats",
+            "/store-forward/:deviceId": "Store & Forward router stats",
+            "/ack/:packetId": "Delivery status (ACK/NAK) of a text message",
+            "/routing-errors": "Routing error counters per node",
+            "/routing-errors/:deviceId": "Routing error counters of one node",
+            "/protobufs":
+              "Loaded protobuf schema, decodable message types and portnums",
+            "/gateways":
+              "Gateways with online status, uptime and brokers (?status=online|offline)",
+            "/gateways/:gatewayId": "Status of one gateway",
           },
           admin: {
             "/admin": "Admin panel",
+            "POST /api/send": "Send text message to the mesh (password required)",
+            "POST /api/send/audit": "Sent messages log (password required)",
+            "POST /api/dead-letter":
+              "Failed events of the durable queue (password required)",
+            "POST /api/dead-letter/requeue": "Requeue failed event by id",
+            "POST /api/dead-letter/delete": "Delete failed event by id",
+            "POST /api/throttled":
+              "Rate-limited nodes with drop counts (password required)",
           },
         },
 
-        portnum_types: [
-          "TEXT_MESSAGE_APP",
-          "POSITION_APP",
-          "NODEINFO_APP",
-          "TELEMETRY_APP",
-          "NEIGHBORINFO_APP",
-          "WAYPOINT_APP",
-          "MAP_REPORT_APP",
-          "TRACEROUTE_APP",
-        ],
+        portnum_types: CONSTANTS.STORED_PORTNUM_NAMES,
 
         examples: {
           get_all_dots: "/dots",
@@ -199,6 +290,248 @@ export class HTTPServer {
     }
   }
 
+  /**
+   * Обрабатывает /channels endpoint - статистика расшифровки по каналам
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleChannelsEndpoint(req, res) {
+    try {
+      const channels = await this.redisManager.getChannelKeyStats();
+
+      res.json({
+        timestamp: Date.now(),
+        count: channels.length,
+        data: channels,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Channels endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /receptions/:deviceId/:packetId - приемы копий пакета,
+   * пришедших после его обработки (другие шлюзы/брокеры)
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleReceptionsEndpoint(req, res) {
+    try {
+      const { deviceId, packetId } = req.params;
+
+      if (!/^\d+$/.test(deviceId) || !/^\d+$/.test(packetId)) {
+        return res.status(400).json({ error: "Invalid device or packet ID" });
+      }
+
+      const receptions = await this.redisManager.getPacketReceptions(
+        deviceId,
+        packetId
+      );
+
+      res.json({
+        device_id: deviceId,
+        packet_id: packetId,
+        timestamp: Date.now(),
+        count: receptions.length,
+        data: receptions,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Receptions endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /range-test[/:deviceId] - точки теста дальности для карты покрытия
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleRangeTestEndpoint(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (deviceId !== undefined && !/^\d+$/.test(deviceId)) {
+        return res.status(400).json({ error: "Invalid device ID" });
+      }
+
+      const points = await this.redisManager.getRangeTestPoints(
+        deviceId || null
+      );
+
+      res.json({
+        ...(deviceId && { device_id: deviceId }),
+        timestamp: Date.now(),
+        count: points.length,
+        data: points,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Range test endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /store-forward[/:deviceId] - роутеры Store & Forward и их статистика
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleStoreForwardEndpoint(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (deviceId !== undefined && !/^\d+$/.test(deviceId)) {
+        return res.status(400).json({ error: "Invalid device ID" });
+      }
+
+      const routers = await this.redisManager.getStoreForwardRouters(
+        deviceId || null
+      );
+
+      if (deviceId && routers.length === 0) {
+        return res.status(404).json({
+          error: "Store & Forward router not found",
+        });
+      }
+
+      res.json({
+        timestamp: Date.now(),
+        count: routers.length,
+        data: deviceId ? routers[0] : routers,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Store & Forward endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /ack/:packetId - подтверждения доставки текстового сообщения
+   */
+  async handleAckEndpoint(req, res) {
+    try {
+      const { packetId } = req.params;
+
+      if (!/^\d+$/.test(packetId)) {
+        return res.status(400).json({ error: "Invalid packet ID" });
+      }
+
+      const acks = await this.redisManager.getMessageAcks(packetId);
+
+      // Исходное сообщение ищем у отправителя, которому адресованы ответы
+      let message = null;
+      if (acks.length > 0) {
+        const messages = await this.redisManager.getPortnumMessages(
+          "TEXT_MESSAGE_APP",
+          acks[0].to
+        );
+        message =
+          messages.find((item) => String(item.id) === packetId) || null;
+      }
+
+      const acknowledgements = acks.filter((ack) => ack.acknowledged);
+
+      res.json({
+        timestamp: Date.now(),
+        packetId: Number(packetId),
+        acknowledged: acknowledgements.length > 0,
+        acknowledgedBy: [...new Set(acknowledgements.map((ack) => ack.from))],
+        errors: acks.filter((ack) => !ack.acknowledged),
+        acks,
+        message,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "ACK endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /routing-errors[/:deviceId] - счетчики ошибок маршрутизации
+   */
+  async handleRoutingErrorsEndpoint(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (deviceId !== undefined && !/^\d+$/.test(deviceId)) {
+        return res.status(400).json({ error: "Invalid device ID" });
+      }
+
+      const errors = await this.redisManager.getRoutingErrors(
+        deviceId || null
+      );
+
+      if (deviceId && errors.length === 0) {
+        return res.status(404).json({ error: "No routing errors for device" });
+      }
+
+      res.json({
+        timestamp: Date.now(),
+        count: errors.length,
+        data: deviceId ? errors[0] : errors,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Routing errors endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /protobufs - схема, загруженная MQTT Receiver,
+   * и декодируемые ей типы сообщений и portnum
+   */
+  async handleProtobufsEndpoint(req, res) {
+    try {
+      const capabilities = await this.redisManager.getProtobufCapabilities();
+
+      if (!capabilities) {
+        return res.status(404).json({
+          error: "Protobuf schema report not found (MQTT Receiver not started)",
+        });
+      }
+
+      res.json({
+        timestamp: Date.now(),
+        data: capabilities,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Protobufs endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает /gateways[/:gatewayId] - реестр шлюзов и их статус
+   */
+  async handleGatewaysEndpoint(req, res) {
+    try {
+      const { gatewayId } = req.params;
+      const { status } = req.query;
+
+      if (gatewayId !== undefined && !/^[\w!-]{1,64}$/.test(gatewayId)) {
+        return res.status(400).json({ error: "Invalid gateway ID" });
+      }
+
+      if (status !== undefined && !["online", "offline"].includes(status)) {
+        return res.status(400).json({
+          error: "Invalid status",
+          validStatuses: ["online", "offline"],
+        });
+      }
+
+      const gateways = (
+        await this.redisManager.getGateways(gatewayId || null)
+      ).filter((gateway) => !status || gateway.status === status);
+
+      if (gatewayId && gateways.length === 0) {
+        return res.status(404).json({ error: "Gateway not found" });
+      }
+
+      res.json({
+        timestamp: Date.now(),
+        count: gateways.length,
+        online: gateways.filter((gateway) => gateway.status === "online")
+          .length,
+        data: gatewayId ? gateways[0] : gateways,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Gateways endpoint");
+    }
+  }
+
   /**
    * Обрабатывает получение данных по формату portnumName:deviceId
    * @param {Request} req - Express request
@@ -213,16 +546,7 @@ export class HTTPServer {
       const [portnumName, deviceId] = parts;
 
       // Валидация portnum
-      const validPortnums = [
-        "TEXT_MESSAGE_APP",
-        "POSITION_APP",
-        "NODEINFO_APP",
-        "TELEMETRY_APP",
-        "NEIGHBORINFO_APP",
-        "WAYPOINT_APP",
-        "MAP_REPORT_APP",
-        "TRACEROUTE_APP",
-      ];
+      const validPortnums = CONSTANTS.STORED_PORTNUM_NAMES;
       if (!validPortnums.includes(portnumName)) {
         return res.status(400).json({
           error: "Invalid portnum name",
@@ -280,8 +604,20 @@ export class HTTPServer {
     try {
       const startTime = Date.now();
 
+      const { heard } = req.query;
+      if (heard !== undefined && !HEARD_VIA_VALUES.includes(heard)) {
+        return res.status(400).json({
+          error: "Invalid heard filter",
+          validValues: HEARD_VIA_VALUES,
+        });
+      }
+
       // Получаем только необходимые поля для карты
-      const dots = await this.redisManager.getOptimizedDotData();
+      const allDots = await this.redisManager.getOptimizedDotData();
+      // rf - услышаны шлюзом по радио, mqtt - видны только через MQTT
+      const dots = heard
+        ? filterDotsByHeardVia(allDots, heard, (dot) => dot.heardVia)
+        : allDots;
       const deviceCount = Object.keys(dots).length;
       const responseTime = Date.now() - startTime;
 
@@ -314,8 +650,19 @@ export class HTTPServer {
     try {
       const startTime = Date.now();
 
+      const { heard } = req.query;
+      if (heard !== undefined && !HEARD_VIA_VALUES.includes(heard)) {
+        return res.status(400).json({
+          error: "Invalid heard filter",
+          validValues: HEARD_VIA_VALUES,
+        });
+      }
+
       // Получаем данные для карты в минимальном формате
-      const mapData = await this.redisManager.getMapData();
+      const allMapData = await this.redisManager.getMapData();
+      const mapData = heard
+        ? filterDotsByHeardVia(allMapData, heard, (dot) => dot.via)
+        : allMapData;
 
       const responseTime = Date.now() - startTime;
       console.log(
@@ -380,6 +727,41 @@ export class HTTPServer {
     }
   }
 
+  /**
+   * Обрабатывает /meshcore/messages[/:channel] - расшифрованные сообщения каналов MeshCore
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleMeshcoreMessagesEndpoint(req, res) {
+    try {
+      const { channel } = req.params;
+
+      if (!channel) {
+        const channels = await this.redisManager.getMeshcoreChannels();
+        return res.json({
+          timestamp: Date.now(),
+          count: channels.length,
+          data: channels,
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const messages = await this.redisManager.getMeshcoreMessages(
+        channel,
+        limit
+      );
+
+      res.json({
+        timestamp: Date.now(),
+        channel,
+        count: messages.length,
+        data: messages,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "MeshCore messages endpoint");
+    }
+  }
+
   /**
    * Обрабатывает /dots_meshcore endpoint - возвращает данные из Redis по ключам dots_meshcore:*
    * @param {Request} req - Express request
@@ -591,6 +973,39 @@ export class HTTPServer {
             margin-bottom: 20px;
             border-left: 4px solid #007bff;
         }
+        h2 {
+            color: #333;
+            margin-top: 40px;
+        }
+        button.secondary {
+            background: #007bff;
+        }
+        button.secondary:hover {
+            background: #0069d9;
+        }
+        button.small {
+            width: auto;
+            padding: 6px 14px;
+            font-size: 14px;
+            margin-right: 8px;
+        }
+        .summary {
+            margin: 15px 0;
+            color: #555;
+        }
+        .dead-letter {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 10px;
+            margin-bottom: 10px;
+        }
+        .dead-letter pre {
+            background: #f8f9fa;
+            padding: 10px;
+            overflow-x: auto;
+            max-height: 200px;
+            font-size: 12px;
+        }
         .warning {
             background: #fff3cd;
             padding: 15px;
@@ -630,6 +1045,24 @@ export class HTTPServer {
         </form>
         
         <div id="result" class="result"></div>
+
+        <h2>☠️ Необработанные события</h2>
+        <div class="info">
+            События надежной очереди, которые не удалось обработать после всех попыток (поток events:dead).
+        </div>
+
+        <button type="button" id="loadDeadLetter" class="secondary">🔍 Показать события</button>
+        <div id="deadLetterSummary" class="summary"></div>
+        <div id="deadLetterList"></div>
+
+        <h2>🚦 Ограниченные узлы</h2>
+        <div class="info">
+            Узлы, пакеты которых отбрасывались из-за превышения лимитов частоты (rateLimit), и узлы в карантине.
+        </div>
+
+        <button type="button" id="loadThrottled" class="secondary">🔍 Показать узлы</button>
+        <div id="throttledSummary" class="summary"></div>
+        <div id="throttledList"></div>
     </div>
 
     <script>
@@ -666,6 +1099,111 @@ export class HTTPServer {
         }
     });
     
+    async function deadLetterRequest(path, body) {
+        const password = document.getElementById('password').value;
+        if (!password) {
+            showResult('error', 'Введите пароль администратора');
+            return null;
+        }
+
+        try {
+            const response = await fetch(path, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ password, ...body })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                showResult('error', result.error || 'Произошла ошибка');
+                return null;
+            }
+            return result;
+        } catch (error) {
+            showResult('error', 'Ошибка сети: ' + error.message);
+            return null;
+        }
+    }
+
+    async function loadDeadLetter() {
+        const result = await deadLetterRequest('/api/dead-letter', {});
+        if (!result) {
+            return;
+        }
+
+        const { streamLength, pending, deadLetterLength } = result.stream;
+        document.getElementById('deadLetterSummary').textContent =
+            \`В очереди: \${streamLength}, не подтверждено: \${pending}, необработанных: \${deadLetterLength}\`;
+
+        const list = document.getElementById('deadLetterList');
+        list.innerHTML = '';
+        result.data.forEach((entry) => {
+            const item = document.createElement('div');
+            item.className = 'dead-letter';
+
+            const header = document.createElement('div');
+            header.textContent = \`\${entry.id} • попыток: \${entry.deliveries} • \${new Date(entry.failedAt).toLocaleString()} • \${entry.error}\`;
+
+            const details = document.createElement('pre');
+            details.textContent = JSON.stringify(entry.event, null, 2);
+
+            item.append(header, details);
+            ['requeue', 'delete'].forEach((action) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action === 'requeue' ? 'small secondary' : 'small';
+                button.textContent = action === 'requeue' ? '🔁 Повторить' : '🗑️ Удалить';
+                button.addEventListener('click', async () => {
+                    if (await deadLetterRequest(\`/api/dead-letter/\${action}\`, { id: entry.id })) {
+                        loadDeadLetter();
+                    }
+                });
+                item.append(button);
+            });
+
+            list.append(item);
+        });
+    }
+
+    document.getElementById('loadDeadLetter').addEventListener('click', loadDeadLetter);
+
+    async function loadThrottled() {
+        const result = await deadLetterRequest('/api/throttled', {});
+        if (!result) {
+            return;
+        }
+
+        const quarantined = result.data.filter((node) => node.quarantined).length;
+        document.getElementById('throttledSummary').textContent =
+            \`Узлов: \${result.count}, в карантине: \${quarantined}\`;
+
+        const list = document.getElementById('throttledList');
+        list.innerHTML = '';
+        result.data.forEach((node) => {
+            const item = document.createElement('div');
+            item.className = 'dead-letter';
+
+            const nodeHex = '!' + node.deviceId.toString(16).padStart(8, '0');
+            const status = node.quarantined
+                ? \`🚫 карантин до \${new Date(node.quarantinedUntil).toLocaleString()}\`
+                : '✅ активен';
+            const lastDrop = node.lastDropAt ? new Date(node.lastDropAt).toLocaleString() : '-';
+
+            const header = document.createElement('div');
+            header.textContent = \`\${nodeHex} • отброшено: \${node.dropped} • карантинов: \${node.quarantines} • последний: \${lastDrop} • \${status}\`;
+
+            const details = document.createElement('pre');
+            details.textContent = JSON.stringify({ reasons: node.reasons, portnums: node.portnums }, null, 2);
+
+            item.append(header, details);
+            list.append(item);
+        });
+    }
+
+    document.getElementById('loadThrottled').addEventListener('click', loadThrottled);
+
     function showResult(type, message) {
         const result = document.getElementById('result');
         result.className = \`result \${type}\`;
@@ -746,6 +1284,232 @@ export class HTTPServer {
     }
   }
 
+  /**
+   * Обрабатывает API запрос на отправку текстового сообщения в сеть.
+   * Сообщение ставится в очередь Redis и публикуется MQTT Receiver'ом
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleSendMessage(req, res) {
+    try {
+      const { password, text, channel, region, server } = req.body;
+
+      // Проверка пароля
+      if (!password || password !== adminConfig.password) {
+        return res.status(401).json({
+          error: "Неверный пароль",
+        });
+      }
+
+      if (!text || typeof text !== "string" || !text.trim()) {
+        return res.status(400).json({
+          error: "Text is required and must be a non-empty string",
+        });
+      }
+
+      // Ограничение длины payload Meshtastic (с запасом)
+      if (Buffer.byteLength(text, "utf8") > 200) {
+        return res.status(400).json({
+          error: "Text is too long (max 200 bytes)",
+        });
+      }
+
+      if (!channel || !/^[\w-]{1,11}$/.test(channel)) {
+        return res.status(400).json({
+          error: "Invalid channel name",
+        });
+      }
+
+      if (region !== undefined && !/^[\w-]+(\/[\w-]+)*$/.test(region)) {
+        return res.status(400).json({
+          error: "Invalid region. Use format RU or RU/MOW",
+        });
+      }
+
+      if (server !== undefined && typeof server !== "string") {
+        return res.status(400).json({
+          error: "Server must be a string",
+        });
+      }
+
+      const request = {
+        requestId: crypto.randomUUID(),
+        text,
+        channel,
+        region,
+        server,
+        requestedAt: Date.now(),
+        requestedBy: req.ip,
+      };
+
+      const queued = await this.redisManager.enqueueDownlinkRequest(request);
+      if (!queued) {
+        return res.status(503).json({
+          error: "Downlink queue is full, try again later",
+        });
+      }
+
+      await this.redisManager.saveDownlinkAudit({
+        requestId: request.requestId,
+        status: "queued",
+        text,
+        channel,
+        region,
+        server,
+        requestedBy: request.requestedBy,
+      });
+
+      console.log(
+        `📤 Downlink queued: ${request.requestId} (${channel}) from ${request.requestedBy}`
+      );
+
+      res.status(202).json({
+        success: true,
+        requestId: request.requestId,
+        status: "queued",
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Send message endpoint");
+    }
+  }
+
+  /**
+   * Возвращает журнал отправленных сообщений
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleSendAudit(req, res) {
+    try {
+      const { password, limit } = req.body;
+
+      if (!password || password !== adminConfig.password) {
+        return res.status(401).json({
+          error: "Неверный пароль",
+        });
+      }
+
+      const entries = await this.redisManager.getDownlinkAudit(
+        Math.min(parseInt(limit) || 100, 1000)
+      );
+
+      res.json({
+        count: entries.length,
+        timestamp: Date.now(),
+        data: entries,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Send audit endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает API запрос на просмотр dead-letter потока надежной очереди
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleDeadLetterList(req, res) {
+    try {
+      const { password, limit } = req.body;
+
+      if (!password || password !== adminConfig.password) {
+        return res.status(401).json({
+          error: "Неверный пароль",
+        });
+      }
+
+      const [entries, streamInfo] = await Promise.all([
+        this.redisManager.getDeadLetterEvents(
+          Math.min(parseInt(limit) || 50, 500)
+        ),
+        this.redisManager.getEventStreamInfo(),
+      ]);
+
+      res.json({
+        count: entries.length,
+        stream: streamInfo,
+        timestamp: Date.now(),
+        data: entries,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Dead-letter endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает API запрос на просмотр нод, ограниченных rate limiter'ом
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleThrottledNodes(req, res) {
+    try {
+      const { password } = req.body;
+
+      if (!password || password !== adminConfig.password) {
+        return res.status(401).json({
+          error: "Неверный пароль",
+        });
+      }
+
+      const nodes = await this.redisManager.getThrottledNodes();
+
+      res.json({
+        count: nodes.length,
+        timestamp: Date.now(),
+        data: nodes,
+      });
+    } catch (error) {
+      handleEndpointError(error, res, "Throttled nodes endpoint");
+    }
+  }
+
+  /**
+   * Обрабатывает повтор/удаление события из dead-letter потока
+   * @param {string} action - requeue | delete
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleDeadLetterAction(action, req, res) {
+    try {
+      const { password, id } = req.body;
+
+      if (!password || password !== adminConfig.password) {
+        return res.status(401).json({
+          error: "Неверный пароль",
+        });
+      }
+
+      if (typeof id !== "string" || !/^\d+-\d+$/.test(id)) {
+        return res.status(400).json({
+          error: "Invalid stream entry ID",
+        });
+      }
+
+      const found =
+        action === "requeue"
+          ? await this.redisManager.requeueDeadLetterEvent(id)
+          : await this.redisManager.deleteDeadLetterEvent(id);
+
+      if (!found) {
+        return res.status(404).json({
+          error: "Event not found",
+          id,
+        });
+      }
+
+      console.log(`🔐 Admin ${action} dead-letter event: ${id}`);
+
+      res.json({
+        success: true,
+        action,
+        id,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      handleEndpointError(error, res, `Dead-letter ${action} endpoint`);
+    }
+  }
+
   /**
    * Обрабатывает 404 ошибки
    * @param {Request} req - Express request
@@ -786,12 +1550,27 @@ export class HTTPServer {
       console.log(
         `    GET /dots_meshcore           - Data from Redis key dots_meshcore`
       );
+      console.log(
+        `    GET /meshcore/messages[/:ch] - Decrypted MeshCore channel messages`
+      );
       console.log(`    GET /nodes                   - List of all devices`);
       console.log(`  СИСТЕМА:`);
       console.log(`    GET /health                  - Health check`);
       console.log(`    GET /stats                   - Server statistics`);
+      console.log(`    GET /channels                - Decryption stats per channel`);
+      console.log(`    GET /receptions/:deviceId/:packetId - Late packet receptions`);
+      console.log(`    GET /range-test[/:deviceId]  - Range test coverage points`);
+      console.log(`    GET /store-forward[/:deviceId] - Store & Forward routers`);
+      console.log(`    GET /ack/:packetId           - Text message delivery status`);
+      console.log(`    GET /routing-errors[/:deviceId] - Routing errors per node`);
+      console.log(`    GET /protobufs               - Decodable types and portnums`);
+      console.log(`    GET /gateways[/:gatewayId]   - Gateway online status`);
       console.log(`    GET /admin                   - Admin panel`);
       console.log(`    POST /api/delete             - Delete device data`);
+      console.log(`    POST /api/send               - Send text message to the mesh`);
+      console.log(`    POST /api/send/audit         - Sent messages log`);
+      console.log(`    POST /api/dead-letter        - Failed events of the durable queue`);
+      console.log(`    POST /api/throttled          - Rate-limited nodes`);
       console.log(`  `);
     });
 
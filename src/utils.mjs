@@ -77,6 +77,28 @@ export const CONSTANTS = {
   RECONNECT_DELAY: 5000,
   DECRYPTION_KEYS: ["1PG7OiApB1nwvP+rz05pAQ==", "AQ=="],
   MAX_PORTNUM_MESSAGES: 200, // Максимальное количество сообщений для новой схемы по portnum
+  DOWNLINK_QUEUE_LIMIT: 100, // Максимум запросов POST /api/send, ожидающих отправки
+  // Redis Streams для надежной очереди событий (durableQueue)
+  EVENT_STREAM_KEY: "events:stream",
+  EVENT_STREAM_GROUP: "receivers",
+  EVENT_DEAD_LETTER_KEY: "events:dead",
+  // Portnum, которые сохраняются списками <PORTNUM>:<deviceId>
+  STORED_PORTNUM_NAMES: [
+    "TEXT_MESSAGE_APP",
+    "POSITION_APP",
+    "NODEINFO_APP",
+    "TELEMETRY_APP",
+    "NEIGHBORINFO_APP",
+    "WAYPOINT_APP",
+    "MAP_REPORT_APP",
+    "TRACEROUTE_APP",
+    "PAXCOUNTER_APP",
+    "RANGE_TEST_APP",
+    "STORE_FORWARD_APP",
+    "DETECTION_SENSOR_APP",
+    "ATAK_PLUGIN",
+    "ROUTING_APP",
+  ],
 };
 
 /**
@@ -92,6 +114,12 @@ export const PORTNUM_MAPPING = {
   71: "NEIGHBORINFO_APP",
   8: "WAYPOINT_APP",
   73: "MAP_REPORT_APP",
+  34: "PAXCOUNTER_APP",
+  37: "RANGE_TEST_APP",
+  36: "STORE_FORWARD_APP",
+  65: "STORE_FORWARD_APP", // Старый номер порта
+  10: "DETECTION_SENSOR_APP",
+  72: "ATAK_PLUGIN",
   // Добавляем и строковые варианты
   TEXT_MESSAGE_APP: "TEXT_MESSAGE_APP",
   POSITION_APP: "POSITION_APP",
@@ -102,6 +130,11 @@ export const PORTNUM_MAPPING = {
   NEIGHBORINFO_APP: "NEIGHBORINFO_APP",
   WAYPOINT_APP: "WAYPOINT_APP",
   MAP_REPORT_APP: "MAP_REPORT_APP",
+  PAXCOUNTER_APP: "PAXCOUNTER_APP",
+  RANGE_TEST_APP: "RANGE_TEST_APP",
+  STORE_FORWARD_APP: "STORE_FORWARD_APP",
+  DETECTION_SENSOR_APP: "DETECTION_SENSOR_APP",
+  ATAK_PLUGIN: "ATAK_PLUGIN",
 };
 
 /**
@@ -158,3 +191,33 @@ export const filterExpiredDevices = (devices, expiryTime) => {
     return now - new Date(device.timestamp).getTime() < expiryTime;
   });
 };
+
+/**
+ * Учитывает устаревание статуса шлюза: online, выведенный только из
+ * пересланных пакетов (без LWT), становится offline, если шлюз молчит
+ * дольше staleTimeout. Период online заканчивается на последнем пакете
+ * @param {Object} state - Состояние шлюза (status, statusSource, lastSeen, staleTimeout, ...)
+ * @param {number} now - Текущее время (мс)
+ * @returns {Object} - Исходное состояние или копия со status offline и stale: true
+ */
+export const applyGatewayStaleness = (state, now = Date.now()) => {
+  if (
+    !state.staleTimeout ||
+    state.status !== "online" ||
+    state.statusSource !== "seen" ||
+    !state.lastSeen ||
+    now - state.lastSeen <= state.staleTimeout
+  ) {
+    return state;
+  }
+
+  return {
+    ...state,
+    status: "offline",
+    stale: true,
+    onlineMs:
+      state.onlineMs + Math.max(0, state.lastSeen - state.statusChangedAt),
+    statusChangedAt: state.lastSeen,
+    lastOffline: state.lastSeen,
+  };
+};